@@ -0,0 +1,30 @@
+/**
+ * Create the full-text search index used by GET /api/chat/search
+ * Prisma cannot declare expression indexes, so run this once per database:
+ *   node scripts/createSearchIndex.js
+ * The expression must stay identical to the one in src/services/messageSearchService.js.
+ */
+
+import prisma from '../src/config/database.js';
+
+async function createSearchIndex() {
+  try {
+    console.log('🔎 Creating message search index...');
+
+    // CONCURRENTLY keeps the messages table writable while the index is built
+    await prisma.$executeRawUnsafe(`
+      CREATE INDEX CONCURRENTLY IF NOT EXISTS messages_content_search_idx
+      ON messages
+      USING GIN (to_tsvector('portuguese'::regconfig, content))
+    `);
+
+    console.log('✅ Message search index is ready');
+  } catch (error) {
+    console.error('❌ Error creating message search index:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+createSearchIndex();
@@ -16,6 +16,15 @@ const config = {
   database: {
     url: process.env.DATABASE_URL || 'file:./dev.db',
   },
+  llm: {
+    provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    // Tried in order after OPENAI_MODEL when it is unavailable
+    fallbackModels: process.env.OPENAI_FALLBACK_MODELS?.split(',').map(model => model.trim()).filter(Boolean) || [],
+    rateLimitRetries: parseInt(process.env.LLM_RATE_LIMIT_RETRIES) || 3,
+    backoffBaseMs: parseInt(process.env.LLM_BACKOFF_BASE_MS) || 500,
+    circuitFailureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 5,
+    circuitResetMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS) || 30000,
+  },
 };
 
 // Validate required environment variables
@@ -0,0 +1,457 @@
+/**
+ * LLM Configuration
+ * Response schemas and the provider-agnostic entry points used by the services.
+ * The backing provider is chosen with LLM_PROVIDER ("openai" by default, "mock" for offline use).
+ * Completions retry rate limits with exponential backoff, fall back to OPENAI_FALLBACK_MODELS
+ * and skip models whose circuit breaker is open; when no model can answer they throw
+ * AIUnavailableError.
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import config from './index.js';
+import openaiProvider from './providers/openaiProvider.js';
+import mockProvider from './providers/mockProvider.js';
+import { recordUsage } from '../services/usageService.js';
+import { CircuitBreaker, CIRCUIT_STATES } from '../utils/circuitBreaker.js';
+import { AIUnavailableError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * A provider implements:
+ * - createStructuredResponse({ messages, responseFormat, stream, temperature, maxTokens, model, signal })
+ * - createTextCompletion({ messages, stream, temperature, maxTokens, model, signal })
+ * - moderateContent(input) -> { flagged, categories, category_scores }
+ * Completions follow the Chat Completions shape: `choices[0].message.content`, or an async
+ * iterable of `choices[0].delta.content` chunks when streaming. Token counts come in `usage`,
+ * on the completion or on the last streamed chunk.
+ */
+const providers = {
+  openai: openaiProvider,
+  mock: mockProvider
+};
+
+const activeProvider = providers[config.llm.provider];
+
+if (!activeProvider) {
+  throw new Error(`Unknown LLM_PROVIDER "${config.llm.provider}". Available providers: ${Object.keys(providers).join(', ')}`);
+}
+
+/**
+ * Get the provider selected by LLM_PROVIDER
+ */
+export function getLLMProvider() {
+  return activeProvider;
+}
+
+// model -> CircuitBreaker
+const breakers = new Map();
+
+function getBreaker(model) {
+  if (!breakers.has(model)) {
+    breakers.set(model, new CircuitBreaker({
+      name: model,
+      failureThreshold: config.llm.circuitFailureThreshold,
+      resetTimeoutMs: config.llm.circuitResetMs
+    }));
+  }
+  return breakers.get(model);
+}
+
+/**
+ * Whether every model can be called: "up", or "degraded" while a circuit is open or half-open
+ */
+export function getLLMAvailability() {
+  const allClosed = [...breakers.values()].every(breaker => breaker.getStatus().state === CIRCUIT_STATES.CLOSED);
+  return allClosed ? 'up' : 'degraded';
+}
+
+/**
+ * Provider and circuit breaker state, for the authenticated health details
+ */
+export function getLLMStatus() {
+  return {
+    status: getLLMAvailability(),
+    provider: activeProvider.name,
+    fallbackModels: config.llm.fallbackModels,
+    circuits: [...breakers.values()].map(breaker => breaker.getStatus())
+  };
+}
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+/**
+ * Errors that mean the model is unavailable rather than the request being wrong:
+ * rate limits, server errors, and failures to reach the API
+ */
+function isUnavailableError(error) {
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return Boolean(error.connectionError) || NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code);
+}
+
+/**
+ * Delay before retrying a rate-limited call: Retry-After when given, otherwise exponential
+ * backoff with jitter
+ */
+function getBackoffDelay(attempt, error) {
+  const retryAfterMs = parseFloat(error.retryAfter) * 1000;
+  if (retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const delay = config.llm.backoffBaseMs * 2 ** attempt;
+  return delay + Math.random() * delay / 2;
+}
+
+/**
+ * Run a provider call on the requested model, then on the fallback models
+ * Rate limits are retried on the same model first; models whose circuit is open are skipped.
+ * Streams are only covered until the provider returns them. Returns { completion, model }.
+ */
+async function callWithFallback(call, { model, signal }) {
+  const models = [model, ...config.llm.fallbackModels.filter(fallback => fallback !== model)];
+  let lastError = null;
+
+  for (const candidate of models) {
+    const breaker = getBreaker(candidate);
+    if (!breaker.canRequest()) {
+      logger.debug(`Skipping model ${candidate}: circuit open`);
+      continue;
+    }
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const completion = await call(candidate);
+          breaker.recordSuccess();
+          if (candidate !== model) {
+            logger.warn(`Model ${model} unavailable; answered with fallback ${candidate}`);
+          }
+          return { completion, model: candidate };
+        } catch (error) {
+          if (signal?.aborted || !isUnavailableError(error)) {
+            throw error;
+          }
+
+          lastError = error;
+          if (error.status === 429 && attempt < config.llm.rateLimitRetries) {
+            const delay = getBackoffDelay(attempt, error);
+            logger.warn(`Model ${candidate} rate limited; retrying in ${Math.round(delay)}ms`);
+            await sleep(delay, undefined, { signal: signal || undefined });
+            continue;
+          }
+
+          breaker.recordFailure();
+          logger.warn(`Model ${candidate} failed (${error.status || 'network'}): ${error.message}`);
+          break;
+        }
+      }
+    } finally {
+      // Frees the half-open trial when the call ended without a success or failure verdict
+      breaker.releaseTrial();
+    }
+  }
+
+  throw new AIUnavailableError('The AI service is temporarily unavailable', lastError);
+}
+
+// JSON Schema for structured responses
+export const COUNCIL_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    mode: {
+      type: "string",
+      enum: ["COUNCIL"]
+    },
+    messages: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          characterKey: { type: "string" },
+          characterName: { type: "string" },
+          content: { type: "string" }
+        },
+        required: ["characterKey", "characterName", "content"],
+        additionalProperties: false
+      }
+    },
+    suggested_topics: {
+      type: "array",
+      items: { type: "string" },
+      maxItems: 5
+    }
+  },
+  required: ["mode", "messages", "suggested_topics"],
+  additionalProperties: false
+};
+
+export const DECISION_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    mode: {
+      type: "string",
+      enum: ["DECISION"]
+    },
+    analyses: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          characterKey: { type: "string" },
+          characterName: { type: "string" },
+          summary: { type: "string" }
+        },
+        required: ["characterKey", "characterName", "summary"],
+        additionalProperties: false
+      }
+    },
+    final_decision: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        content: { type: "string" },
+        rationale: { type: "string" },
+        action_steps: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              title: { type: "string" },
+              description: { type: "string" },
+              due_in_days: { type: ["integer", "null"] }
+            },
+            required: ["title", "description", "due_in_days"],
+            additionalProperties: false
+          },
+          maxItems: 5
+        }
+      },
+      required: ["title", "content", "rationale", "action_steps"],
+      additionalProperties: false
+    },
+    suggested_topics: {
+      type: "array",
+      items: { type: "string" },
+      maxItems: 5
+    }
+  },
+  required: ["mode", "analyses", "final_decision", "suggested_topics"],
+  additionalProperties: false
+};
+
+export const DEBATE_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    mode: {
+      type: "string",
+      enum: ["DEBATE"]
+    },
+    positions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          characterKey: { type: "string" },
+          characterName: { type: "string" },
+          stance: { type: "string" }
+        },
+        required: ["characterKey", "characterName", "stance"],
+        additionalProperties: false
+      }
+    },
+    rounds: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          round: { type: "integer" },
+          arguments: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                characterKey: { type: "string" },
+                characterName: { type: "string" },
+                content: { type: "string" },
+                respondsTo: { type: ["string", "null"] }
+              },
+              required: ["characterKey", "characterName", "content", "respondsTo"],
+              additionalProperties: false
+            }
+          }
+        },
+        required: ["round", "arguments"],
+        additionalProperties: false
+      }
+    },
+    synthesis: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        content: { type: "string" },
+        agreements: {
+          type: "array",
+          items: { type: "string" }
+        },
+        open_questions: {
+          type: "array",
+          items: { type: "string" }
+        }
+      },
+      required: ["title", "content", "agreements", "open_questions"],
+      additionalProperties: false
+    },
+    suggested_topics: {
+      type: "array",
+      items: { type: "string" },
+      maxItems: 5
+    }
+  },
+  required: ["mode", "positions", "rounds", "synthesis", "suggested_topics"],
+  additionalProperties: false
+};
+
+export const SUGGESTED_TOPICS_SCHEMA = {
+  type: "object",
+  properties: {
+    suggested_topics: {
+      type: "array",
+      items: { type: "string" },
+      maxItems: 5
+    }
+  },
+  required: ["suggested_topics"],
+  additionalProperties: false
+};
+
+export const MEMORY_EXTRACTION_SCHEMA = {
+  type: "object",
+  properties: {
+    memories: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          kind: {
+            type: "string",
+            enum: ["FACT", "STRUGGLE"]
+          },
+          content: { type: "string" },
+          keywords: {
+            type: "array",
+            items: { type: "string" },
+            maxItems: 6
+          }
+        },
+        required: ["kind", "content", "keywords"],
+        additionalProperties: false
+      },
+      maxItems: 5
+    }
+  },
+  required: ["memories"],
+  additionalProperties: false
+};
+
+function collectUsageRecord(usageContext, pendingRecord) {
+  usageContext.usageRecords?.push(pendingRecord);
+}
+
+/**
+ * Record the usage of a streamed completion once its last chunk has been read
+ */
+async function* trackStreamUsage(completionStream, model, usageContext) {
+  let usage = null;
+  let responseModel = model;
+
+  try {
+    for await (const chunk of completionStream) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      if (chunk.model) {
+        responseModel = chunk.model;
+      }
+      yield chunk;
+    }
+  } finally {
+    if (usage) {
+      collectUsageRecord(usageContext, recordUsage({ ...usageContext, model: responseModel, usage }));
+    }
+  }
+}
+
+/**
+ * Record token usage of a completion in the background
+ * `usageContext` attributes the call: { userId, sessionId, messageId, operation }. Its
+ * `usageRecords` list, when present, collects the records for attributeUsage.
+ */
+function trackUsage(completion, { stream, model, usageContext }) {
+  if (stream) {
+    return trackStreamUsage(completion, model, usageContext);
+  }
+
+  if (completion?.usage) {
+    collectUsageRecord(usageContext, recordUsage({ ...usageContext, model: completion.model || model, usage: completion.usage }));
+  }
+  return completion;
+}
+
+/**
+ * Create structured JSON response matching responseFormat
+ */
+export async function createStructuredResponse({ 
+  messages, 
+  responseFormat, 
+  stream = false,
+  temperature = parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
+  maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 1200,
+  model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  usageContext = {},
+  signal = null
+}) {
+  const result = await callWithFallback(candidate => activeProvider.createStructuredResponse({
+    messages,
+    responseFormat,
+    stream,
+    temperature,
+    maxTokens,
+    model: candidate,
+    signal
+  }), { model, signal });
+
+  return trackUsage(result.completion, { stream, model: result.model, usageContext });
+}
+
+/**
+ * Create simple text completion
+ */
+export async function createTextCompletion({ 
+  messages, 
+  stream = false,
+  temperature = parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
+  maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 1200,
+  model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  usageContext = {},
+  signal = null
+}) {
+  const result = await callWithFallback(candidate => activeProvider.createTextCompletion({
+    messages,
+    stream,
+    temperature,
+    maxTokens,
+    model: candidate,
+    signal
+  }), { model, signal });
+
+  return trackUsage(result.completion, { stream, model: result.model, usageContext });
+}
+
+/**
+ * Moderate content with the active provider
+ */
+export async function moderateContent(input) {
+  return activeProvider.moderateContent(input);
+}
@@ -0,0 +1,252 @@
+/**
+ * Mock Provider
+ * Deterministic offline provider for local development and integration tests.
+ * Structured responses are generated from the requested JSON schema, using the
+ * participants listed in the prompt ("Nome (chave)") for character entries.
+ */
+
+const MOCK_MODEL = 'mock';
+
+// Streaming chunk size and optional delay between chunks (MOCK_LLM_DELAY_MS)
+const CHUNK_SIZE = 16;
+
+/**
+ * Small stable hash so the same input always yields the same text
+ */
+function hashText(text) {
+  let hash = 0;
+  for (const char of text) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+function getLastUserMessage(messages) {
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+  return lastUser?.content || '';
+}
+
+/**
+ * Read participants from the "personagens: Nome (chave), ..." line of the prompt
+ */
+function getParticipants(messages) {
+  for (const msg of messages) {
+    if (msg.role !== 'system' || typeof msg.content !== 'string') {
+      continue;
+    }
+
+    const line = msg.content.split('\n').find(text => /personagens:/i.test(text));
+    if (!line) {
+      continue;
+    }
+
+    const participants = [...line.matchAll(/([^,:(]+?)\s*\(([a-z0-9-]+)\)/g)]
+      .map(match => ({ name: match[1].trim(), key: match[2] }));
+
+    if (participants.length > 0) {
+      return participants;
+    }
+  }
+
+  return [{ name: 'Conselheiro', key: 'mock' }];
+}
+
+function buildMockText(label, context) {
+  const topic = context.userInput.slice(0, 80) || 'sua pergunta';
+  const openings = [
+    'Refletindo com calma',
+    'Olhando para a sua jornada',
+    'Com serenidade e cuidado'
+  ];
+  const opening = openings[hashText(`${label}:${context.userInput}`) % openings.length];
+  const speaker = context.participant ? `${context.participant.name}: ` : '';
+
+  return `${speaker}${opening}, sobre "${topic}" (${label}, resposta simulada).`;
+}
+
+/**
+ * Build a value that satisfies the given JSON schema
+ */
+function buildFromSchema(schema, context, path = []) {
+  const type = Array.isArray(schema.type)
+    ? schema.type.find(t => t !== 'null')
+    : schema.type;
+  const field = path[path.length - 1];
+
+  switch (type) {
+    case 'object': {
+      const result = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        result[key] = buildFromSchema(propertySchema, context, [...path, key]);
+      }
+      return result;
+    }
+
+    case 'array': {
+      const itemProperties = schema.items?.properties || {};
+      if ('characterKey' in itemProperties) {
+        return context.participants.map(participant =>
+          buildFromSchema(schema.items, { ...context, participant }, path)
+        );
+      }
+
+      const items = schema.items || { type: 'string' };
+      const count = Math.min(schema.maxItems ?? 3, 3);
+      return Array.from({ length: count }, (_, index) =>
+        items.type === 'string' && !items.enum
+          ? `Sugestão simulada ${index + 1}`
+          : buildFromSchema(items, context, [...path, field])
+      );
+    }
+
+    case 'string':
+      if (schema.enum) {
+        return schema.enum[0];
+      }
+      if (field === 'characterKey' && context.participant) {
+        return context.participant.key;
+      }
+      if (field === 'characterName' && context.participant) {
+        return context.participant.name;
+      }
+      return buildMockText(field || 'texto', context);
+
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 1;
+
+    case 'boolean':
+      return false;
+
+    default:
+      return null;
+  }
+}
+
+function buildUsage(messages, content) {
+  const promptText = messages.map(msg => msg.content || '').join('\n');
+  const promptTokens = Math.ceil(promptText.length / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+function buildCompletion(messages, content) {
+  return {
+    id: `mock-${hashText(content)}`,
+    object: 'chat.completion',
+    model: MOCK_MODEL,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: 'stop'
+    }],
+    usage: buildUsage(messages, content)
+  };
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Request was aborted.');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Fail like an unavailable API for the models listed in MOCK_LLM_FAIL_MODELS ("*" for all),
+ * to exercise fallbacks and the circuit breaker offline
+ */
+function throwIfUnavailable(model) {
+  const failing = (process.env.MOCK_LLM_FAIL_MODELS || '').split(',').map(name => name.trim());
+  if (failing.includes(model) || failing.includes('*')) {
+    const error = new Error(`Mock model ${model} is unavailable`);
+    error.status = 503;
+    throw error;
+  }
+}
+
+/**
+ * Stream content in fixed-size chunks shaped like Chat Completions deltas
+ * The last chunk carries only usage, as with `stream_options.include_usage`.
+ */
+async function* streamCompletion(messages, content, signal) {
+  const delay = parseInt(process.env.MOCK_LLM_DELAY_MS) || 0;
+
+  for (let pos = 0; pos < content.length; pos += CHUNK_SIZE) {
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    throwIfAborted(signal);
+
+    yield {
+      object: 'chat.completion.chunk',
+      model: MOCK_MODEL,
+      choices: [{ index: 0, delta: { content: content.slice(pos, pos + CHUNK_SIZE) } }]
+    };
+  }
+
+  yield {
+    object: 'chat.completion.chunk',
+    model: MOCK_MODEL,
+    choices: [],
+    usage: buildUsage(messages, content)
+  };
+}
+
+async function createStructuredResponse({ messages, responseFormat, stream, model, signal }) {
+  throwIfAborted(signal);
+  throwIfUnavailable(model);
+
+  const context = {
+    userInput: getLastUserMessage(messages),
+    participants: getParticipants(messages),
+    participant: null
+  };
+
+  const content = JSON.stringify(buildFromSchema(responseFormat, context));
+  return stream ? streamCompletion(messages, content, signal) : buildCompletion(messages, content);
+}
+
+async function createTextCompletion({ messages, stream, model, signal }) {
+  throwIfAborted(signal);
+  throwIfUnavailable(model);
+
+  const context = {
+    userInput: getLastUserMessage(messages),
+    participant: null
+  };
+
+  const content = buildMockText('texto', context);
+  return stream ? streamCompletion(messages, content, signal) : buildCompletion(messages, content);
+}
+
+/**
+ * Flag content containing "[mock:<category>]" markers, e.g. "[mock:self-harm]"
+ */
+async function moderateContent(input) {
+  const categories = {};
+  const categoryScores = {};
+
+  for (const match of String(input).matchAll(/\[mock:([a-z/-]+)\]/g)) {
+    categories[match[1]] = true;
+    categoryScores[match[1]] = 0.99;
+  }
+
+  return {
+    flagged: Object.keys(categories).length > 0,
+    categories,
+    category_scores: categoryScores
+  };
+}
+
+export default {
+  name: 'mock',
+  createStructuredResponse,
+  createTextCompletion,
+  moderateContent
+};
@@ -0,0 +1,147 @@
+/**
+ * OpenAI Provider
+ * Supports both Responses API and Chat Completions API with fallback
+ */
+
+import OpenAI from 'openai';
+
+let client = null;
+
+/**
+ * Create the OpenAI client on first use so other providers run without an API key
+ */
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return client;
+}
+
+/**
+ * Wrap an API error, keeping the HTTP status, Retry-After and whether the API could not be
+ * reached, so callers can retry or fall back
+ */
+function toProviderError(message, error) {
+  const wrapped = new Error(message);
+  wrapped.status = error.status;
+  wrapped.code = error.code;
+  wrapped.retryAfter = error.headers?.['retry-after'] || null;
+  wrapped.connectionError = error instanceof OpenAI.APIConnectionError;
+  return wrapped;
+}
+
+/**
+ * Create structured text response using Responses API or Chat Completions fallback
+ */
+async function createStructuredResponse({ messages, responseFormat, stream, temperature, maxTokens, model, signal }) {
+  try {
+    const useResponsesAPI = process.env.RESPONSES_API === 'true';
+
+    if (useResponsesAPI) {
+      // Use Responses API with structured output
+      return await getClient().chat.completions.create({
+        model,
+        messages,
+        response_format: {
+          type: "json_schema",
+          json_schema: {
+            name: "structured_response",
+            schema: responseFormat,
+            strict: true
+          }
+        },
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        ...(stream && { stream_options: { include_usage: true } })
+      }, { signal: signal || undefined });
+    } else {
+      // Fallback to regular Chat Completions
+      const systemPrompt = `You must respond with valid JSON matching this exact schema: ${JSON.stringify(responseFormat, null, 2)}`;
+
+      const enhancedMessages = [
+        { role: 'system', content: systemPrompt },
+        ...messages
+      ];
+
+      return await getClient().chat.completions.create({
+        model,
+        messages: enhancedMessages,
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        ...(stream && { stream_options: { include_usage: true } })
+      }, { signal: signal || undefined });
+    }
+  } catch (error) {
+    // Cancelled by the caller; let it see the abort as such
+    if (signal?.aborted) {
+      throw error;
+    }
+
+    console.error('OpenAI API Error:', error);
+
+    // Handle specific schema validation errors
+    if (error.status === 400 && error.message?.includes('additionalProperties')) {
+      throw toProviderError('OpenAI schema validation failed: The response format schema is invalid. Please check the schema configuration.', error);
+    }
+
+    if (error.status === 400 && error.message?.includes('response_format')) {
+      throw toProviderError('OpenAI response format error: The structured response format is not supported or incorrectly configured.', error);
+    }
+
+    throw toProviderError(`OpenAI request failed: ${error.message}`, error);
+  }
+}
+
+/**
+ * Create simple text completion
+ */
+async function createTextCompletion({ messages, stream, temperature, maxTokens, model, signal }) {
+  try {
+    return await getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream,
+      ...(stream && { stream_options: { include_usage: true } })
+    }, { signal: signal || undefined });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+
+    console.error('OpenAI API Error:', error);
+    throw toProviderError(`OpenAI request failed: ${error.message}`, error);
+  }
+}
+
+/**
+ * Moderate content using OpenAI Moderation API
+ */
+async function moderateContent(input) {
+  try {
+    const moderation = await getClient().moderations.create({
+      input,
+    });
+
+    return {
+      flagged: moderation.results[0].flagged,
+      categories: moderation.results[0].categories,
+      category_scores: moderation.results[0].category_scores
+    };
+  } catch (error) {
+    console.error('Moderation API Error:', error);
+    return { flagged: false, categories: {}, category_scores: {} };
+  }
+}
+
+export default {
+  name: 'openai',
+  createStructuredResponse,
+  createTextCompletion,
+  moderateContent
+};
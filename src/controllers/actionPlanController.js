@@ -0,0 +1,62 @@
+/**
+ * Action Plan Controller
+ * Lets users follow the action steps of their decisions and mark them done
+ */
+
+import { sendSuccess } from '../utils/response.js';
+import { NotFoundError } from '../utils/errors.js';
+import { getPaginationData, buildPaginationResponse } from '../utils/pagination.js';
+import {
+  countActionSteps,
+  listActionSteps,
+  updateActionStepStatus
+} from '../services/actionPlanService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * List action steps
+ */
+export const getActionSteps = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { status, sessionId, page, pageSize } = req.query;
+
+    const totalCount = await countActionSteps(userId, { status, sessionId });
+    const pagination = getPaginationData(page, pageSize, totalCount);
+
+    const steps = await listActionSteps(userId, {
+      status,
+      sessionId,
+      offset: pagination.offset,
+      limit: pagination.limit
+    });
+
+    return sendSuccess(res, buildPaginationResponse(steps, pagination), 'Action steps retrieved successfully');
+
+  } catch (error) {
+    logger.error('Error in getActionSteps:', error);
+    next(error);
+  }
+};
+
+/**
+ * Mark an action step as done or pending
+ */
+export const updateActionStep = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const step = await updateActionStepStatus(userId, id, status);
+    if (!step) {
+      throw new NotFoundError('Action step');
+    }
+
+    return sendSuccess(res, { step }, 'Action step updated successfully');
+
+  } catch (error) {
+    logger.error('Error in updateActionStep:', error);
+    next(error);
+  }
+};
@@ -4,20 +4,235 @@
  */
 
 import { sendSuccess, sendError } from '../utils/response.js';
-import { NotFoundError, ValidationError, ForbiddenError, AppError } from '../utils/errors.js';
-import { getPaginationData, buildPaginationResponse, parseMessageCursor } from '../utils/pagination.js';
+import { NotFoundError, ValidationError, ForbiddenError, ConflictError, CancelledError, AppError } from '../utils/errors.js';
+import { getPaginationData, buildPaginationResponse, createMessageCursor, parseMessageCursor } from '../utils/pagination.js';
 import { orchestrateChat } from '../services/chatOrchestrator.js';
-import { initSSE, sendSSEEvent, sendSSEError, closeSSE } from '../utils/sse.js';
-import { moderateContent } from '../config/openai.js';
+import {
+  filterActiveBranch,
+  getActiveVariant,
+  getLastUserMessage,
+  setActiveVariant,
+  getVariantReplies
+} from '../services/messageBranchService.js';
+import { forkSessionAtMessage } from '../services/sessionForkService.js';
+import { addParticipant, removeParticipant, reorderParticipants } from '../services/participantService.js';
+import { respondToCrisis, SAFETY_HELPLINES } from '../services/safetyService.js';
+import { screenUserMessage } from '../services/userMessageService.js';
+import { searchMessages } from '../services/messageSearchService.js';
+import { buildSessionExport, renderSessionExport } from '../services/sessionExportService.js';
+import { createSessionShare, listActiveShares, revokeShare, getSharedSession } from '../services/sessionShareService.js';
+import { sendSSEEvent, sendSSEError, closeSSE } from '../utils/sse.js';
+import { openTurnStream, findTurnStream } from '../services/turnStreamService.js';
+import { registerActiveTurn, releaseActiveTurn, abortActiveTurn, cancelSessionTurns, hasActiveTurn } from '../services/activeTurnService.js';
+import { releaseMessageQuota } from '../middlewares/quota.js';
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
 
+const MODE_TITLES = {
+  COUNCIL: 'Conselho',
+  DECISION: 'Decisão',
+  DEBATE: 'Debate'
+};
+
+/**
+ * Claim a session for a new turn, or throw ConflictError when a reply is already being
+ * generated in it (over HTTP or the WebSocket)
+ * Call it with nothing awaited since the check so a concurrent request gets the conflict;
+ * release the turn on every path that does not hand it to runTurn.
+ */
+function claimSessionTurn(sessionId, userId) {
+  if (hasActiveTurn(sessionId)) {
+    throw new ConflictError('A reply is already being generated in this session');
+  }
+  return registerActiveTurn(sessionId, { userId });
+}
+
+/**
+ * Run the orchestrator for a saved USER message and send the result
+ * Streams SSE events when `stream` is set, otherwise responds with JSON.
+ * `onFailure` runs before the error is reported, to undo turn bookkeeping;
+ * `responseData` is added to the final payload; `pendingTurn` is a turn registered before the
+ * message was saved.
+ * The turn can be cancelled (POST /cancel) and is aborted when the client goes away:
+ * right away for JSON requests, after the reconnection grace period for streams.
+ */
+async function runTurn(res, { session, userMessage, variant = 1, stream = false, successMessage, onFailure = null, responseData = {}, pendingTurn = null }) {
+  const activeTurn = pendingTurn || registerActiveTurn(session.id, {
+    userId: session.userId
+  });
+  activeTurn.userMessageId = userMessage.id;
+
+  const turnOptions = {
+    session,
+    userInput: userMessage.content,
+    userMessageId: userMessage.id,
+    variant,
+    targets: userMessage.meta?.targets || null,
+    signal: activeTurn.controller.signal
+  };
+
+  if (stream) {
+    // Events go through a turn stream so a dropped client can resume with Last-Event-ID
+    const turnStream = openTurnStream(res, {
+      sessionId: session.id,
+      userId: session.userId,
+      userMessageId: userMessage.id,
+      variant,
+      onAbandoned: () => abortActiveTurn(activeTurn, 'disconnect')
+    });
+
+    try {
+      // Orchestrate chat with streaming
+      const result = await orchestrateChat({
+        ...turnOptions,
+        stream: true,
+        res: turnStream
+      });
+
+      // The resting message does not count against the quota
+      if (result.degraded) {
+        await releaseMessageQuota(res);
+      }
+
+      await prisma.chatSession.update({
+        where: { id: session.id },
+        data: { updatedAt: new Date() }
+      });
+
+      // Send final success event
+      sendSSEEvent(turnStream, 'complete', {
+        success: true,
+        mode: result.mode,
+        userMessageId: userMessage.id,
+        variant,
+        ...(result.degraded && { degraded: true }),
+        ...responseData,
+        suggested_topics: result.suggested_topics || []
+      });
+
+    } catch (error) {
+      if (onFailure) {
+        await onFailure();
+      }
+      await releaseMessageQuota(res);
+
+      if (error instanceof CancelledError) {
+        sendSSEEvent(turnStream, 'cancelled', {
+          userMessageId: userMessage.id,
+          variant,
+          reason: activeTurn.cancelReason
+        });
+      } else {
+        sendSSEError(turnStream, error);
+      }
+    } finally {
+      releaseActiveTurn(activeTurn);
+      closeSSE(turnStream);
+    }
+    return;
+  }
+
+  // Non-streaming response; nobody is left to read it once the client disconnects
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortActiveTurn(activeTurn, 'disconnect');
+    }
+  });
+
+  let result;
+  try {
+    result = await orchestrateChat({
+      ...turnOptions,
+      stream: false
+    });
+  } catch (error) {
+    if (onFailure) {
+      await onFailure();
+    }
+    await releaseMessageQuota(res);
+    throw error;
+  } finally {
+    releaseActiveTurn(activeTurn);
+  }
+
+  if (result.degraded) {
+    await releaseMessageQuota(res);
+  }
+
+  // Update session timestamp
+  await prisma.chatSession.update({
+    where: { id: session.id },
+    data: { updatedAt: new Date() }
+  });
+
+  return sendSuccess(res, {
+    ...result,
+    userMessageId: userMessage.id,
+    variant,
+    ...responseData
+  }, successMessage);
+}
+
+/**
+ * Answer a message with crisis signals with the safe response instead of the characters
+ */
+async function sendSafetyResponse(res, { session, userMessage, assessment, stream = false, successMessage, responseData = {} }) {
+  // The safe response does not use the characters, so it does not count against the quota
+  await releaseMessageQuota(res);
+
+  const message = await respondToCrisis({
+    userId: session.userId,
+    sessionId: session.id,
+    userMessageId: userMessage.id,
+    assessment
+  });
+
+  await prisma.chatSession.update({
+    where: { id: session.id },
+    data: { updatedAt: new Date() }
+  });
+
+  const safetyResponse = {
+    content: message.content,
+    helplines: SAFETY_HELPLINES
+  };
+
+  if (stream) {
+    const turnStream = openTurnStream(res, {
+      sessionId: session.id,
+      userId: session.userId,
+      userMessageId: userMessage.id
+    });
+    sendSSEEvent(turnStream, 'safety_response', safetyResponse);
+    sendSSEEvent(turnStream, 'complete', {
+      success: true,
+      mode: 'SAFETY',
+      userMessageId: userMessage.id,
+      variant: 1,
+      ...responseData,
+      suggested_topics: []
+    });
+    closeSSE(turnStream);
+    return;
+  }
+
+  return sendSuccess(res, {
+    mode: 'SAFETY',
+    safety_response: safetyResponse,
+    savedMessage: message,
+    suggested_topics: [],
+    userMessageId: userMessage.id,
+    variant: 1,
+    ...responseData
+  }, successMessage);
+}
+
 /**
  * Create new chat session
  */
 export const createSession = async (req, res, next) => {
   try {
-    const { mode, characters: characterKeys, title } = req.body;
+    const { mode, characters: characterKeys, title, generationMode, debateRounds } = req.body;
     const userId = req.user.id;
 
     logger.info(`Creating ${mode} session for user ${userId} with characters: ${characterKeys.join(', ')}`);
@@ -41,7 +256,11 @@ export const createSession = async (req, res, next) => {
       data: {
         userId,
         mode,
-        title: title || `${mode === 'COUNCIL' ? 'Conselho' : 'Decisão'} com ${characters.length} personagens`
+        generationMode,
+        debateRounds: mode === 'DEBATE' ? debateRounds : null,
+        title: title || (mode === 'MENTOR'
+          ? `Mentoria com ${characters[0].name}`
+          : `${MODE_TITLES[mode]} com ${characters.length} personagens`)
       }
     });
 
@@ -75,6 +294,8 @@ export const createSession = async (req, res, next) => {
       session: {
         id: session.id,
         mode: session.mode,
+        generationMode: session.generationMode,
+        debateRounds: session.debateRounds,
         title: session.title,
         closed: session.closed,
         createdAt: session.createdAt,
@@ -125,6 +346,12 @@ export const getSessions = async (req, res, next) => {
           orderBy: { orderIndex: 'asc' }
         },
         messages: {
+          where: {
+            NOT: {
+              role: 'SUMMARY',
+              meta: { path: ['messageType'], equals: 'session_summary' }
+            }
+          },
           orderBy: { createdAt: 'desc' },
           take: 1,
           select: {
@@ -146,8 +373,17 @@ export const getSessions = async (req, res, next) => {
     const formattedSessions = sessions.map(session => ({
       id: session.id,
       mode: session.mode,
+      generationMode: session.generationMode,
+      debateRounds: session.debateRounds,
       title: session.title,
       closed: session.closed,
+      forkedFromId: session.forkedFromId,
+      forkedAtMessageId: session.forkedAtMessageId,
+      usage: {
+        promptTokens: session.promptTokens,
+        completionTokens: session.completionTokens,
+        estimatedCost: session.estimatedCost
+      },
       createdAt: session.createdAt,
       updatedAt: session.updatedAt,
       messageCount: session._count.messages,
@@ -172,7 +408,7 @@ export const getSession = async (req, res, next) => {
   try {
     const { id: sessionId } = req.params;
     const userId = req.user.id;
-    const { cursor, limit = 30 } = req.query;
+    const { cursor, limit = 30, includeAlternates } = req.query;
 
     logger.info(`Fetching session ${sessionId} for user ${userId}`);
 
@@ -206,7 +442,11 @@ export const getSession = async (req, res, next) => {
     // Build message query
     let messageWhere = {
       sessionId,
-      role: { not: 'SYSTEM' } // Exclude system messages from chat display
+      role: { not: 'SYSTEM' }, // Exclude system messages from chat display
+      NOT: { // Rolling summaries are model context, not chat messages
+        role: 'SUMMARY',
+        meta: { path: ['messageType'], equals: 'session_summary' }
+      }
     };
 
     // Handle cursor-based pagination
@@ -219,14 +459,14 @@ export const getSession = async (req, res, next) => {
           },
           {
             createdAt: cursorData.timestamp,
-            id: { lt: cursorData.id }
+            id: cursorData.inclusive ? { lte: cursorData.id } : { lt: cursorData.id }
           }
         ];
       }
     }
 
     // Fetch messages
-    const messages = await prisma.message.findMany({
+    const pageMessages = await prisma.message.findMany({
       where: messageWhere,
       orderBy: [
         { createdAt: 'desc' },
@@ -245,20 +485,34 @@ export const getSession = async (req, res, next) => {
     });
 
     // Reverse to show chronological order
-    messages.reverse();
+    pageMessages.reverse();
 
     // Create next cursor if there are more messages
     let nextCursor = null;
-    if (messages.length === parseInt(limit)) {
-      const oldestMessage = messages[0];
-      nextCursor = Buffer.from(`${oldestMessage.createdAt.getTime()}-${oldestMessage.id}`).toString('base64');
+    if (pageMessages.length === parseInt(limit)) {
+      const oldestMessage = pageMessages[0];
+      nextCursor = createMessageCursor(oldestMessage);
     }
 
+    // Hide regenerated alternates unless the client asks for them
+    const messages = includeAlternates === 'true'
+      ? pageMessages
+      : await filterActiveBranch(pageMessages);
+
     const sessionData = {
       id: session.id,
       mode: session.mode,
+      generationMode: session.generationMode,
+      debateRounds: session.debateRounds,
       title: session.title,
       closed: session.closed,
+      forkedFromId: session.forkedFromId,
+      forkedAtMessageId: session.forkedAtMessageId,
+      usage: {
+        promptTokens: session.promptTokens,
+        completionTokens: session.completionTokens,
+        estimatedCost: session.estimatedCost
+      },
       createdAt: session.createdAt,
       updatedAt: session.updatedAt,
       participants: session.participants.map(p => ({
@@ -286,9 +540,11 @@ export const getSession = async (req, res, next) => {
  * Send message to session
  */
 export const sendMessage = async (req, res, next) => {
+  let pendingTurn = null;
+
   try {
     const { id: sessionId } = req.params;
-    const { content, stream = false } = req.body;
+    const { content, stream = false, targets } = req.body;
     const userId = req.user.id;
 
     logger.info(`Sending message to session ${sessionId}, stream: ${stream}`);
@@ -306,11 +562,10 @@ export const sendMessage = async (req, res, next) => {
       throw new NotFoundError('Chat session or session is closed');
     }
 
-    // Moderate content
-    const moderation = await moderateContent(content);
-    if (moderation.flagged) {
-      throw new ValidationError('Content violates community guidelines');
-    }
+    pendingTurn = claimSessionTurn(sessionId, userId);
+
+    // Moderate content and resolve addressed characters
+    const { safety, meta } = await screenUserMessage(session, content, targets);
 
     // Save user message
     const userMessage = await prisma.message.create({
@@ -318,68 +573,340 @@ export const sendMessage = async (req, res, next) => {
         sessionId,
         role: 'USER',
         content,
-        meta: {
-          moderation: moderation.categories
-        }
+        meta
       }
     });
 
     logger.info(`User message saved: ${userMessage.id}`);
 
-    // Handle streaming response
-    if (stream) {
-      // For streaming, we need to handle the response differently
-      // Set appropriate headers for SSE
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
+    if (safety.crisis) {
+      return await sendSafetyResponse(res, {
+        session,
+        userMessage,
+        assessment: safety,
+        stream,
+        successMessage: 'Message processed successfully'
       });
+    }
 
-      try {
-        // Orchestrate chat with streaming
-        const result = await orchestrateChat({
-          session,
-          userInput: content,
-          stream: true,
-          res
-        });
+    return await runTurn(res, {
+      session,
+      userMessage,
+      stream,
+      successMessage: 'Message processed successfully',
+      pendingTurn
+    });
 
-        // Send final success event
-        sendSSEEvent(res, 'complete', {
-          success: true,
-          mode: result.mode,
-          suggested_topics: result.suggested_topics || []
-        });
+  } catch (error) {
+    logger.error('Error in sendMessage:', error);
+    if (!res.headersSent) {
+      next(error);
+    }
+  } finally {
+    if (pendingTurn) {
+      releaseActiveTurn(pendingTurn);
+    }
+  }
+};
+
+/**
+ * Edit a previous user message
+ * The conversation is forked at that message; the original session is left intact.
+ */
+export const editMessage = async (req, res, next) => {
+  let pendingTurn = null;
 
-      } catch (error) {
-        sendSSEError(res, error);
-      } finally {
-        closeSSE(res);
+  try {
+    const { id: sessionId, messageId } = req.params;
+    const { content, stream = false, targets } = req.body;
+    const userId = req.user.id;
+
+    logger.info(`Editing message ${messageId} of session ${sessionId}, stream: ${stream}`);
+
+    const session = await prisma.chatSession.findFirst({
+      where: {
+        id: sessionId,
+        userId
       }
-    } else {
-      // Non-streaming response
-      const result = await orchestrateChat({
-        session,
-        userInput: content,
-        stream: false
-      });
+    });
 
-      // Update session timestamp
-      await prisma.chatSession.update({
-        where: { id: sessionId },
-        data: { updatedAt: new Date() }
+    if (!session) {
+      throw new NotFoundError('Chat session');
+    }
+
+    // Do not fork a conversation while a reply is still being written into it
+    pendingTurn = claimSessionTurn(sessionId, userId);
+
+    const { safety, meta } = await screenUserMessage(session, content, targets);
+
+    const fork = await forkSessionAtMessage({ session, messageId });
+    if (!fork) {
+      throw new NotFoundError('User message');
+    }
+
+    // The reply goes to the fork, so the original session is free again
+    releaseActiveTurn(pendingTurn);
+    pendingTurn = null;
+
+    const userMessage = await prisma.message.create({
+      data: {
+        sessionId: fork.session.id,
+        role: 'USER',
+        content,
+        meta: {
+          ...meta,
+          editedFrom: fork.editedMessage.id
+        }
+      }
+    });
+
+    const responseData = {
+      session: {
+        id: fork.session.id,
+        title: fork.session.title,
+        forkedFromId: fork.session.forkedFromId,
+        forkedAtMessageId: fork.session.forkedAtMessageId
+      }
+    };
+
+    if (safety.crisis) {
+      return await sendSafetyResponse(res, {
+        session: fork.session,
+        userMessage,
+        assessment: safety,
+        stream,
+        successMessage: 'Message edited successfully',
+        responseData
       });
+    }
+
+    return await runTurn(res, {
+      session: fork.session,
+      userMessage,
+      stream,
+      successMessage: 'Message edited successfully',
+      responseData
+    });
 
-      return sendSuccess(res, result, 'Message processed successfully');
+  } catch (error) {
+    logger.error('Error in editMessage:', error);
+    if (!res.headersSent) {
+      next(error);
     }
+  } finally {
+    if (pendingTurn) {
+      releaseActiveTurn(pendingTurn);
+    }
+  }
+};
+
+/**
+ * Regenerate the answer to the last user message
+ * The previous answers are kept as alternate variants of the same turn.
+ */
+export const regenerateResponse = async (req, res, next) => {
+  let pendingTurn = null;
+
+  try {
+    const { id: sessionId } = req.params;
+    const { stream = false } = req.body;
+    const userId = req.user.id;
+
+    logger.info(`Regenerating last answer in session ${sessionId}, stream: ${stream}`);
+
+    const session = await prisma.chatSession.findFirst({
+      where: {
+        id: sessionId,
+        userId,
+        closed: false
+      }
+    });
+
+    if (!session) {
+      throw new NotFoundError('Chat session or session is closed');
+    }
+
+    // Two regenerations, or one during a send, would both take the next variant number
+    pendingTurn = claimSessionTurn(sessionId, userId);
+
+    const userMessage = await getLastUserMessage(sessionId);
+    if (!userMessage) {
+      throw new ValidationError('There is no message to regenerate');
+    }
+
+    if (userMessage.meta?.safetyLevel) {
+      throw new ValidationError('This message was answered with support resources and cannot be regenerated');
+    }
+
+    const previousVariant = getActiveVariant(userMessage);
+    const previousCount = userMessage.meta?.variantCount || 1;
+    const variant = previousCount + 1;
+
+    // Select the new variant before generating so history leaves the old answers out
+    const updatedMessage = await setActiveVariant(userMessage, variant, variant);
+
+    return await runTurn(res, {
+      session,
+      userMessage: updatedMessage,
+      variant,
+      stream,
+      successMessage: 'Response regenerated successfully',
+      // Keep the conversation on the previous answer if nothing new was produced
+      onFailure: () => setActiveVariant(userMessage, previousVariant, previousCount),
+      pendingTurn
+    });
 
   } catch (error) {
-    logger.error('Error in sendMessage:', error);
+    logger.error('Error in regenerateResponse:', error);
     if (!res.headersSent) {
       next(error);
     }
+  } finally {
+    if (pendingTurn) {
+      releaseActiveTurn(pendingTurn);
+    }
+  }
+};
+
+/**
+ * Choose which variant of the last turn continues the conversation
+ */
+export const selectResponseVariant = async (req, res, next) => {
+  try {
+    const { id: sessionId, messageId } = req.params;
+    const { variant } = req.body;
+    const userId = req.user.id;
+
+    const session = await prisma.chatSession.findFirst({
+      where: {
+        id: sessionId,
+        userId
+      }
+    });
+
+    if (!session) {
+      throw new NotFoundError('Chat session');
+    }
+
+    const userMessage = await getLastUserMessage(sessionId);
+    if (!userMessage || userMessage.id !== messageId) {
+      throw new ValidationError('Only the answer to the last message can be switched');
+    }
+
+    const variantCount = userMessage.meta?.variantCount || 1;
+    if (variant > variantCount) {
+      throw new ValidationError(`Variant must be between 1 and ${variantCount}`);
+    }
+
+    await setActiveVariant(userMessage, variant, variantCount);
+    const replies = await getVariantReplies(userMessage.id, variant);
+
+    logger.info(`Session ${sessionId} now continues from variant ${variant} of message ${messageId}`);
+
+    return sendSuccess(res, {
+      userMessageId: userMessage.id,
+      activeVariant: variant,
+      variantCount,
+      messages: replies.filter(msg => msg.role !== 'SYSTEM'),
+      suggested_topics: replies.find(msg => msg.role === 'SYSTEM' && msg.meta?.suggested_topics)?.meta.suggested_topics || []
+    }, 'Response variant selected successfully');
+
+  } catch (error) {
+    logger.error('Error in selectResponseVariant:', error);
+    next(error);
+  }
+};
+
+/**
+ * Find an open session owned by the user
+ */
+async function findOpenSession(sessionId, userId) {
+  const session = await prisma.chatSession.findFirst({
+    where: {
+      id: sessionId,
+      userId,
+      closed: false
+    }
+  });
+
+  if (!session) {
+    throw new NotFoundError('Chat session or session is closed');
+  }
+
+  return session;
+}
+
+/**
+ * Invite a character into a running session
+ */
+export const addSessionParticipant = async (req, res, next) => {
+  try {
+    const { id: sessionId } = req.params;
+    const { character, position } = req.body;
+    const userId = req.user.id;
+
+    const session = await findOpenSession(sessionId, userId);
+    const result = await addParticipant(session, character, position);
+
+    await prisma.chatSession.update({
+      where: { id: sessionId },
+      data: { updatedAt: new Date() }
+    });
+
+    return sendSuccess(res, result, 'Participant added successfully', 201);
+
+  } catch (error) {
+    logger.error('Error in addSessionParticipant:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a character from a running session
+ */
+export const removeSessionParticipant = async (req, res, next) => {
+  try {
+    const { id: sessionId, characterKey } = req.params;
+    const userId = req.user.id;
+
+    const session = await findOpenSession(sessionId, userId);
+    const result = await removeParticipant(session, characterKey);
+
+    await prisma.chatSession.update({
+      where: { id: sessionId },
+      data: { updatedAt: new Date() }
+    });
+
+    return sendSuccess(res, result, 'Participant removed successfully');
+
+  } catch (error) {
+    logger.error('Error in removeSessionParticipant:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change the speaking order of a running session
+ */
+export const reorderSessionParticipants = async (req, res, next) => {
+  try {
+    const { id: sessionId } = req.params;
+    const { characters } = req.body;
+    const userId = req.user.id;
+
+    const session = await findOpenSession(sessionId, userId);
+    const result = await reorderParticipants(session, characters);
+
+    await prisma.chatSession.update({
+      where: { id: sessionId },
+      data: { updatedAt: new Date() }
+    });
+
+    return sendSuccess(res, result, 'Participants reordered successfully');
+
+  } catch (error) {
+    logger.error('Error in reorderSessionParticipants:', error);
+    next(error);
   }
 };
 
@@ -512,8 +1039,8 @@ export const getSessionSuggestions = async (req, res, next) => {
       throw new NotFoundError('Chat session');
     }
 
-    // Get latest system message with suggestions
-    const systemMessage = await prisma.message.findFirst({
+    // Get latest system message with suggestions on the selected answer
+    const systemMessages = await prisma.message.findMany({
       where: {
         sessionId,
         role: 'SYSTEM',
@@ -522,8 +1049,10 @@ export const getSessionSuggestions = async (req, res, next) => {
           not: null
         }
       },
-      orderBy: { createdAt: 'desc' }
+      orderBy: { createdAt: 'desc' },
+      take: 10
     });
+    const [systemMessage] = await filterActiveBranch(systemMessages);
 
     const suggestions = systemMessage?.meta?.suggested_topics || [];
 
@@ -537,3 +1066,197 @@ export const getSessionSuggestions = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Resume the stream of an in-flight or just finished turn
+ * Replays the events after Last-Event-ID, then follows the turn until it ends.
+ */
+export const resumeSessionStream = async (req, res, next) => {
+  try {
+    const { id: sessionId } = req.params;
+    const userId = req.user.id;
+
+    const session = await prisma.chatSession.findFirst({
+      where: {
+        id: sessionId,
+        userId
+      }
+    });
+
+    if (!session) {
+      throw new NotFoundError('Chat session');
+    }
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    const found = findTurnStream(sessionId, userId, lastEventId);
+
+    // 204 tells EventSource clients to stop reconnecting; the turn is already in the session history
+    if (!found) {
+      return res.status(204).end();
+    }
+
+    found.stream.attach(res, found.lastSeq);
+
+  } catch (error) {
+    logger.error('Error in resumeSessionStream:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel the reply being generated in a session
+ * Partial replies are kept with `meta.cancelled` and the turn does not use the quota.
+ */
+export const cancelSessionTurn = async (req, res, next) => {
+  try {
+    const { id: sessionId } = req.params;
+    const userId = req.user.id;
+
+    const session = await prisma.chatSession.findFirst({
+      where: {
+        id: sessionId,
+        userId
+      }
+    });
+
+    if (!session) {
+      throw new NotFoundError('Chat session');
+    }
+
+    const cancelled = cancelSessionTurns(sessionId, userId);
+    if (cancelled === 0) {
+      throw new ConflictError('Nothing is being generated in this session');
+    }
+
+    return sendSuccess(res, { sessionId, cancelled }, 'Generation cancelled successfully');
+
+  } catch (error) {
+    logger.error('Error in cancelSessionTurn:', error);
+    next(error);
+  }
+};
+
+/**
+ * Search the user's messages across all chat sessions
+ */
+export const searchChatMessages = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { q, character, mode, from, to, cursor, limit } = req.query;
+
+    if (cursor && !parseMessageCursor(cursor)) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    const { results, nextCursor } = await searchMessages(userId, {
+      query: q,
+      character,
+      mode,
+      from,
+      to,
+      cursor,
+      limit
+    });
+
+    return sendSuccess(res, {
+      query: q,
+      results,
+      nextCursor
+    }, 'Search completed successfully');
+
+  } catch (error) {
+    logger.error('Error in searchChatMessages:', error);
+    next(error);
+  }
+};
+
+/**
+ * Export a chat session as PDF, Markdown or JSON
+ */
+export const exportSession = async (req, res, next) => {
+  try {
+    const { id: sessionId } = req.params;
+    const { format } = req.query;
+
+    const document = await buildSessionExport(sessionId, req.user.id);
+    const { body, contentType, filename } = await renderSessionExport(document, format, req.user);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+
+    return res.send(body);
+  } catch (error) {
+    logger.error('Error in exportSession:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a read-only share link for a session
+ */
+export const createShare = async (req, res, next) => {
+  try {
+    const { id: sessionId } = req.params;
+    const { expiresInDays } = req.body;
+
+    const share = await createSessionShare(sessionId, req.user.id, { expiresInDays });
+
+    return sendSuccess(res, { share }, 'Share link created successfully', 201);
+
+  } catch (error) {
+    logger.error('Error in createShare:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the user's active share links
+ */
+export const getShares = async (req, res, next) => {
+  try {
+    const { sessionId } = req.query;
+
+    const shares = await listActiveShares(req.user.id, { sessionId });
+
+    return sendSuccess(res, { shares }, 'Shares retrieved successfully');
+
+  } catch (error) {
+    logger.error('Error in getShares:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a share link
+ */
+export const deleteShare = async (req, res, next) => {
+  try {
+    const { shareId } = req.params;
+
+    const share = await revokeShare(shareId, req.user.id);
+
+    return sendSuccess(res, { share }, 'Share link revoked successfully');
+
+  } catch (error) {
+    logger.error('Error in deleteShare:', error);
+    next(error);
+  }
+};
+
+/**
+ * Public read-only view of a shared session
+ */
+export const getSharedConversation = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const conversation = await getSharedSession(token);
+
+    return sendSuccess(res, conversation, 'Shared conversation retrieved successfully');
+
+  } catch (error) {
+    logger.error('Error in getSharedConversation:', error);
+    next(error);
+  }
+};
@@ -7,6 +7,7 @@
 import { DiarioFeService } from '../services/diarioFeService.js';
 import { PDFService } from '../services/pdfService.js';
 import { UserService } from '../services/userService.js';
+import { extractMemoriesFromText } from '../services/userMemoryService.js';
 import { sendSuccess, sendError } from '../utils/response.js';
 
 /**
@@ -56,6 +57,14 @@ export const createEntry = async (req, res, next) => {
 
     const entry = await DiarioFeService.createEntry(userId, entryData);
 
+    // Let the characters recall this entry in future conversations (runs in background)
+    extractMemoriesFromText({
+      userId,
+      text: [titulo, conteudo, reflexoes].filter(Boolean).join('\n'),
+      source: 'diary',
+      sourceId: entry.id
+    });
+
     return sendSuccess(res, { entry }, 'Entrada do diário criada com sucesso', 201);
   } catch (error) {
     next(error);
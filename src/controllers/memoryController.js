@@ -0,0 +1,101 @@
+/**
+ * Memory Controller
+ * Lets users see, correct and delete what the characters remember about them
+ */
+
+import { sendSuccess } from '../utils/response.js';
+import { NotFoundError } from '../utils/errors.js';
+import { getPaginationData, buildPaginationResponse } from '../utils/pagination.js';
+import {
+  countUserMemories,
+  listUserMemories,
+  updateUserMemory,
+  deleteUserMemory,
+  deleteAllUserMemories
+} from '../services/userMemoryService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * List remembered items
+ */
+export const getMemories = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { kind, page, pageSize } = req.query;
+
+    const totalCount = await countUserMemories(userId, kind);
+    const pagination = getPaginationData(page, pageSize, totalCount);
+
+    const memories = await listUserMemories(userId, {
+      kind,
+      offset: pagination.offset,
+      limit: pagination.limit
+    });
+
+    return sendSuccess(res, buildPaginationResponse(memories, pagination), 'Memories retrieved successfully');
+
+  } catch (error) {
+    logger.error('Error in getMemories:', error);
+    next(error);
+  }
+};
+
+/**
+ * Edit a remembered item
+ */
+export const updateMemory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const memory = await updateUserMemory(userId, id, req.body);
+    if (!memory) {
+      throw new NotFoundError('Memory');
+    }
+
+    return sendSuccess(res, { memory }, 'Memory updated successfully');
+
+  } catch (error) {
+    logger.error('Error in updateMemory:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a remembered item
+ */
+export const deleteMemory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const deleted = await deleteUserMemory(userId, id);
+    if (!deleted) {
+      throw new NotFoundError('Memory');
+    }
+
+    return sendSuccess(res, {}, 'Memory deleted successfully');
+
+  } catch (error) {
+    logger.error('Error in deleteMemory:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete everything remembered about the user
+ */
+export const deleteAllMemories = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const deletedCount = await deleteAllUserMemories(userId);
+    logger.info(`Deleted ${deletedCount} memories for user ${userId}`);
+
+    return sendSuccess(res, { deletedCount }, 'Memories deleted successfully');
+
+  } catch (error) {
+    logger.error('Error in deleteAllMemories:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Usage Controller
+ * Reports the tokens and estimated cost of the model calls made for a user
+ */
+
+import { sendSuccess } from '../utils/response.js';
+import { getUsageReport } from '../services/usageService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get usage over a date range, the current month by default
+ */
+export const getUsage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date();
+    const {
+      from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      to = now
+    } = req.query;
+
+    const usage = await getUsageReport(userId, { from, to });
+
+    return sendSuccess(res, { usage }, 'Usage retrieved successfully');
+
+  } catch (error) {
+    logger.error('Error in getUsage:', error);
+    next(error);
+  }
+};
@@ -5,6 +5,7 @@
  */
 
 import { UserService } from '../services/userService.js';
+import { getMessageQuota } from '../services/quotaService.js';
 import { sendSuccess, sendError } from '../utils/response.js';
 import { updateProfileSchema, favoritesSchema, responseStyleSchema } from '../utils/validation.js';
 
@@ -22,7 +23,9 @@ export const getProfile = async (req, res, next) => {
       return sendError(res, 'Usuário não encontrado', 404);
     }
 
-    return sendSuccess(res, { user }, 'Perfil recuperado com sucesso');
+    const quota = await getMessageQuota(userId, user.plan);
+
+    return sendSuccess(res, { user, quota }, 'Perfil recuperado com sucesso');
   } catch (error) {
     next(error);
   }
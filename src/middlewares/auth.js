@@ -4,6 +4,38 @@ import { sendError } from '../utils/response.js';
 import { verifyToken } from '../utils/jwt.js';
 import prisma from '../config/database.js';
 
+/**
+ * Read the bearer token of an Authorization header
+ */
+export function getBearerToken(authHeader) {
+  return authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : null;
+}
+
+/**
+ * Verify a JWT and load its user
+ * Returns null when the user no longer exists; throws the jsonwebtoken errors.
+ */
+export async function resolveTokenUser(token) {
+  const decoded = verifyToken(token);
+
+  return prisma.user.findUnique({
+    where: { id: decoded.userId },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      avatar: true,
+      favorites: true,
+      responseStyle: true,
+      plan: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+  });
+}
+
 /**
  * Authentication middleware
  * Validates JWT token and attaches user to request object
@@ -11,32 +43,14 @@ import prisma from '../config/database.js';
 export const authenticateToken = async (req, res, next) => {
   try {
     // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.startsWith('Bearer ')
-      ? authHeader.substring(7)
-      : null;
+    const token = getBearerToken(req.headers.authorization);
 
     if (!token) {
       return sendError(res, 'Token de acesso é obrigatório', 401);
     }
 
-    // Verify token
-    const decoded = verifyToken(token);
-    
-    // Find user in database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        avatar: true,
-        favorites: true,
-        responseStyle: true,
-        createdAt: true,
-        updatedAt: true,
-      },
-    });
+    // Verify token and find user in database
+    const user = await resolveTokenUser(token);
 
     if (!user) {
       return sendError(res, 'Usuário não encontrado', 401);
@@ -1,4 +1,5 @@
 import { sendError } from '../utils/response.js';
+import { AppError } from '../utils/errors.js';
 
 /**
  * Global error handling middleware
@@ -15,6 +16,11 @@ export const errorHandler = (error, req, res, next) => {
     return sendError(res, 'Registro não encontrado', 404);
   }
 
+  // Application errors carry their own status code
+  if (error instanceof AppError) {
+    return sendError(res, error.message, error.statusCode, error.errors?.length ? error.errors : null);
+  }
+
   // Validation errors
   if (error.name === 'ValidationError') {
     const errors = Object.values(error.details).map(detail => detail.message);
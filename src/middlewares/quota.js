@@ -0,0 +1,74 @@
+/**
+ * Message quota middleware
+ * Enforces the daily message quota of the authenticated user's plan before any model call
+ * and reports it in the X-Quota-* headers.
+ */
+
+import { consumeMessageQuota, refundMessageQuota } from '../services/quotaService.js';
+import { assessMessageSafety } from '../services/safetyService.js';
+import logger from '../utils/logger.js';
+
+function setQuotaHeaders(res, quota) {
+  res.setHeader('X-Quota-Plan', quota.plan);
+  res.setHeader('X-Quota-Limit', quota.limit);
+  res.setHeader('X-Quota-Remaining', quota.remaining);
+  res.setHeader('X-Quota-Reset', quota.resetsAt.toISOString());
+}
+
+/**
+ * Give back the message reserved for this request, at most once
+ * Used when the turn fails or is answered without the characters.
+ */
+export async function releaseMessageQuota(res) {
+  const reservation = res.locals.quotaReservation;
+  if (!reservation || reservation.released) {
+    return;
+  }
+
+  reservation.released = true;
+  await refundMessageQuota(reservation.userId, reservation.day);
+}
+
+/**
+ * Reserve one message of the user's daily quota, or answer 429 when it is used up
+ * Must run after authenticateToken.
+ */
+export const enforceMessageQuota = async (req, res, next) => {
+  try {
+    const { allowed, day, quota } = await consumeMessageQuota(req.user.id, req.user.plan);
+    setQuotaHeaders(res, quota);
+
+    // A crisis message always reaches the safety response, whatever the quota
+    if (!allowed && assessMessageSafety(req.body?.content).crisis) {
+      return next();
+    }
+
+    if (!allowed) {
+      res.setHeader('Retry-After', Math.ceil((quota.resetsAt.getTime() - Date.now()) / 1000));
+      return res.status(429).json({
+        success: false,
+        message: 'Daily message limit reached for your plan.',
+        error: {
+          type: 'QUOTA_EXCEEDED',
+          plan: quota.plan,
+          limit: quota.limit,
+          resetsAt: quota.resetsAt
+        }
+      });
+    }
+
+    res.locals.quotaReservation = { userId: req.user.id, day, released: false };
+
+    // Requests rejected later (validation, moderation, missing session) do not count
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        releaseMessageQuota(res);
+      }
+    });
+
+    next();
+  } catch (error) {
+    logger.error('Error enforcing message quota:', error);
+    next(error);
+  }
+};
@@ -3,7 +3,35 @@
  * Handles X-Forwarded-For headers correctly in deployment environments
  */
 
-import rateLimit from 'express-rate-limit';
+import rateLimit, { MemoryStore } from 'express-rate-limit';
+
+/**
+ * Resolve the client IP, handling proxy scenarios
+ */
+function getClientIp(req) {
+  // Try to get the real IP from various headers set by proxies
+  const forwarded = req.headers['x-forwarded-for'];
+  const realIp = req.headers['x-real-ip'];
+  const cfConnectingIp = req.headers['cf-connecting-ip']; // Cloudflare
+  
+  // Use the first available IP
+  let clientIp = req.ip || 
+                req.connection?.remoteAddress || 
+                req.socket?.remoteAddress ||
+                (req.connection?.socket ? req.connection.socket.remoteAddress : null);
+  
+  // If behind a proxy, use the forwarded IP
+  if (forwarded) {
+    clientIp = forwarded.split(',')[0].trim();
+  } else if (realIp) {
+    clientIp = realIp;
+  } else if (cfConnectingIp) {
+    clientIp = cfConnectingIp;
+  }
+  
+  // Fallback to a default if we can't determine IP
+  return clientIp || 'unknown';
+}
 
 /**
  * Create a rate limiter that works correctly behind proxies
@@ -13,31 +41,7 @@ export function createRateLimiter(options = {}) {
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
     
-    // Custom key generator that handles proxy scenarios
-    keyGenerator: (req) => {
-      // Try to get the real IP from various headers set by proxies
-      const forwarded = req.headers['x-forwarded-for'];
-      const realIp = req.headers['x-real-ip'];
-      const cfConnectingIp = req.headers['cf-connecting-ip']; // Cloudflare
-      
-      // Use the first available IP
-      let clientIp = req.ip || 
-                    req.connection?.remoteAddress || 
-                    req.socket?.remoteAddress ||
-                    (req.connection?.socket ? req.connection.socket.remoteAddress : null);
-      
-      // If behind a proxy, use the forwarded IP
-      if (forwarded) {
-        clientIp = forwarded.split(',')[0].trim();
-      } else if (realIp) {
-        clientIp = realIp;
-      } else if (cfConnectingIp) {
-        clientIp = cfConnectingIp;
-      }
-      
-      // Fallback to a default if we can't determine IP
-      return clientIp || 'unknown';
-    },
+    keyGenerator: getClientIp,
     
     // Skip rate limiting in development or if IP cannot be determined
     skip: (req) => {
@@ -101,12 +105,37 @@ export const chatRateLimit = createRateLimiter({
 });
 
 // Message rate limiting (strict due to OpenAI costs)
+// Keyed by account so users behind one NAT do not share a limit; must run after authenticateToken.
+// The store is shared with WebSocket messages (consumeMessageRateLimit)
+const MESSAGE_RATE_LIMIT_MAX = 10; // limit each user to 10 messages per minute
+const messageRateLimitStore = new MemoryStore();
+
 export const messageRateLimit = createRateLimiter({
   windowMs: 1 * 60 * 1000, // 1 minute
-  max: 10, // limit each IP to 10 messages per minute
-  message: 'Too many messages, please slow down.'
+  max: MESSAGE_RATE_LIMIT_MAX,
+  message: 'Too many messages, please slow down.',
+  store: messageRateLimitStore,
+  keyGenerator: (req) => req.user ? `user:${req.user.id}` : getClientIp(req),
+  skip: () => process.env.NODE_ENV === 'development'
 });
 
+/**
+ * Count a message sent outside Express (over the WebSocket) against the same per-user limit
+ * as messageRateLimit
+ * Returns { allowed, retryAfter } with retryAfter in seconds.
+ */
+export async function consumeMessageRateLimit(userId) {
+  if (process.env.NODE_ENV === 'development') {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const { totalHits, resetTime } = await messageRateLimitStore.increment(`user:${userId}`);
+  return {
+    allowed: totalHits <= MESSAGE_RATE_LIMIT_MAX,
+    retryAfter: resetTime ? Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 1) : 60
+  };
+}
+
 // Character/resource rate limiting (lenient)
 export const resourceRateLimit = createRateLimiter({
   windowMs: 5 * 60 * 1000, // 5 minutes
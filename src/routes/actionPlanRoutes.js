@@ -0,0 +1,173 @@
+/**
+ * Action Plan Routes
+ * Routes for the action steps of DECISION sessions with Swagger documentation
+ */
+
+import { Router } from 'express';
+import { resourceRateLimit } from '../middlewares/rateLimiting.js';
+import { getActionSteps, updateActionStep } from '../controllers/actionPlanController.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import {
+  validateRequest,
+  listActionStepsSchema,
+  updateActionStepSchema
+} from '../utils/zodValidation.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ActionStep:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         sessionId:
+ *           type: string
+ *           format: uuid
+ *         decisionMessageId:
+ *           type: string
+ *           description: SUMMARY message with the final decision
+ *         variant:
+ *           type: integer
+ *           description: Reply variant of the turn; only the plan of the selected variant is listed
+ *         title:
+ *           type: string
+ *           example: "Conversar com meu gestor sobre a transferência"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         orderIndex:
+ *           type: integer
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [PENDING, DONE]
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         checkInSentAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the overdue check-in message was posted to the session
+ *         session:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             title:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/user/action-steps:
+ *   get:
+ *     summary: List action steps
+ *     description: |
+ *       Action steps come from the final decision of DECISION sessions. When a pending step is
+ *       overdue, a check-in message (NARRATOR, `meta.messageType: action_check_in`) is posted to
+ *       its session asking how it went.
+ *     tags: [Action Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, DONE]
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Action steps retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticateToken,
+  resourceRateLimit,
+  validateRequest(listActionStepsSchema, 'query'),
+  getActionSteps
+);
+
+/**
+ * @swagger
+ * /api/user/action-steps/{id}:
+ *   patch:
+ *     summary: Update action step status
+ *     description: Mark an action step as done, or back to pending
+ *     tags: [Action Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, DONE]
+ *     responses:
+ *       200:
+ *         description: Action step updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     step:
+ *                       $ref: '#/components/schemas/ActionStep'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Action step not found
+ */
+router.patch('/:id',
+  authenticateToken,
+  validateRequest(updateActionStepSchema),
+  updateActionStep
+);
+
+export default router;
@@ -38,6 +38,10 @@ const router = Router();
  *           enum: [BREVE, DETALHADA, ESPIRITUAL, PRATICA]
  *           default: BREVE
  *           description: User's preferred response style
+ *         plan:
+ *           type: string
+ *           enum: [FREE, PREMIUM]
+ *           description: Plan that sets the daily message quota (returned by GET /user/profile)
  *         createdAt:
  *           type: string
  *           format: date-time
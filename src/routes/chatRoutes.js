@@ -4,7 +4,8 @@
  */
 
 import { Router } from 'express';
-import { chatRateLimit, messageRateLimit } from '../middlewares/rateLimiting.js';
+import { chatRateLimit, messageRateLimit, resourceRateLimit } from '../middlewares/rateLimiting.js';
+import { enforceMessageQuota } from '../middlewares/quota.js';
 import { 
   createSession, 
   getSessions, 
@@ -13,7 +14,21 @@ import {
   renameSession, 
   closeSession, 
   deleteSession,
-  getSessionSuggestions
+  getSessionSuggestions,
+  resumeSessionStream,
+  cancelSessionTurn,
+  searchChatMessages,
+  exportSession,
+  createShare,
+  getShares,
+  deleteShare,
+  getSharedConversation,
+  regenerateResponse,
+  selectResponseVariant,
+  editMessage,
+  addSessionParticipant,
+  removeSessionParticipant,
+  reorderSessionParticipants
 } from '../controllers/chatController.js';
 import { authenticateToken } from '../middlewares/auth.js';
 import { 
@@ -21,7 +36,16 @@ import {
   createSessionSchema, 
   sendMessageSchema, 
   updateSessionSchema,
-  paginationSchema
+  paginationSchema,
+  regenerateSchema,
+  selectVariantSchema,
+  editMessageSchema,
+  addParticipantSchema,
+  reorderParticipantsSchema,
+  searchMessagesSchema,
+  exportSessionSchema,
+  createShareSchema,
+  listSharesSchema
 } from '../utils/zodValidation.js';
 
 const router = Router();
@@ -38,11 +62,35 @@ const router = Router();
  *           format: uuid
  *         mode:
  *           type: string
- *           enum: [COUNCIL, DECISION]
+ *           enum: [COUNCIL, DECISION, DEBATE, MENTOR]
+ *         generationMode:
+ *           type: string
+ *           enum: [COMBINED, SEQUENTIAL]
+ *         debateRounds:
+ *           type: integer
+ *           nullable: true
  *         title:
  *           type: string
  *         closed:
  *           type: boolean
+ *         forkedFromId:
+ *           type: string
+ *           nullable: true
+ *           description: Session this one was forked from by editing a message
+ *         forkedAtMessageId:
+ *           type: string
+ *           nullable: true
+ *           description: Edited user message in the original session
+ *         usage:
+ *           type: object
+ *           description: Tokens and estimated cost (USD) of every model call made for this session
+ *           properties:
+ *             promptTokens:
+ *               type: integer
+ *             completionTokens:
+ *               type: integer
+ *             estimatedCost:
+ *               type: number
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -86,6 +134,38 @@ const router = Router();
  *           type: string
  *           format: date-time
  *     
+ *     ChatShare:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         token:
+ *           type: string
+ *           description: Public token for GET /api/chat/shared/{token}
+ *         sessionId:
+ *           type: string
+ *           format: uuid
+ *         sessionTitle:
+ *           type: string
+ *           nullable: true
+ *         sessionMode:
+ *           type: string
+ *           enum: [COUNCIL, DECISION, DEBATE, MENTOR]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         viewCount:
+ *           type: integer
+ *         lastViewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     
  *     CreateSession:
  *       type: object
  *       required:
@@ -94,7 +174,7 @@ const router = Router();
  *       properties:
  *         mode:
  *           type: string
- *           enum: [COUNCIL, DECISION]
+ *           enum: [COUNCIL, DECISION, DEBATE, MENTOR]
  *           example: "COUNCIL"
  *         characters:
  *           type: array
@@ -102,11 +182,22 @@ const router = Router();
  *             type: string
  *           minItems: 1
  *           maxItems: 6
+ *           description: DEBATE sessions need at least 2 characters; MENTOR sessions exactly 1
  *           example: ["moises", "salomao", "freud"]
  *         title:
  *           type: string
  *           maxLength: 100
  *           example: "Conselhos sobre relacionamentos"
+ *         generationMode:
+ *           type: string
+ *           enum: [COMBINED, SEQUENTIAL]
+ *           default: COMBINED
+ *           description: COMBINED asks one prompt for every character; SEQUENTIAL generates each participant in its own call, in order, each seeing what earlier speakers said
+ *         debateRounds:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 4
+ *           description: DEBATE only. Rounds per turn; defaults to CHAT_DEBATE_ROUNDS (2)
  *     
  *     SendMessage:
  *       type: object
@@ -122,6 +213,16 @@ const router = Router();
  *           type: boolean
  *           default: false
  *           example: false
+ *         targets:
+ *           type: array
+ *           items:
+ *             type: string
+ *           maxItems: 10
+ *           example: ["moises"]
+ *           description: |
+ *             COUNCIL only. Keys of the participants that should answer; the others stay silent
+ *             for this turn. Without it, "@key" mentions in the content (e.g. "@moises") select
+ *             the characters. Regenerating the turn keeps the same targets.
  */
 
 /**
@@ -274,6 +375,121 @@ router.get('/sessions',
   getSessions
 );
 
+/**
+ * @swagger
+ * /api/chat/search:
+ *   get:
+ *     summary: Search messages across all sessions
+ *     description: |
+ *       Full-text search (PostgreSQL, Portuguese dictionary) over the user's and characters'
+ *       messages in every session of the user, newest first. `q` accepts web search syntax:
+ *       "quoted phrases", `or` and `-excluded` words. Snippets are HTML-escaped with the matches
+ *       wrapped in `<mark>`. Pass a result's `messageCursor` as `cursor` to
+ *       GET /api/chat/sessions/{sessionId} to load the conversation up to and including it, and
+ *       `nextCursor` as `cursor` here for the next page.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 200
+ *         example: salomão meu pai
+ *       - in: query
+ *         name: character
+ *         schema:
+ *           type: string
+ *         description: Only messages written by this character key
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [COUNCIL, DECISION, DEBATE, MENTOR]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           messageId:
+ *                             type: string
+ *                           sessionId:
+ *                             type: string
+ *                           sessionTitle:
+ *                             type: string
+ *                           sessionMode:
+ *                             type: string
+ *                           role:
+ *                             type: string
+ *                           authorKey:
+ *                             type: string
+ *                             nullable: true
+ *                           authorName:
+ *                             type: string
+ *                             nullable: true
+ *                           snippet:
+ *                             type: string
+ *                             example: "...conversamos sobre <mark>pai</mark>..."
+ *                           rank:
+ *                             type: number
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           messageCursor:
+ *                             type: string
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid query
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/search',
+  authenticateToken,
+  validateRequest(searchMessagesSchema, 'query'),
+  searchChatMessages
+);
+
 /**
  * @swagger
  * /api/chat/sessions/{id}:
@@ -304,6 +520,12 @@ router.get('/sessions',
  *           maximum: 100
  *           default: 30
  *         description: Number of messages to retrieve
+ *       - in: query
+ *         name: includeAlternates
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include replies of regenerated variants that are not selected
  *     responses:
  *       200:
  *         description: Session retrieved successfully
@@ -337,7 +559,44 @@ router.get('/sessions/:id', authenticateToken, getSession);
  * /api/chat/sessions/{id}/message:
  *   post:
  *     summary: Send message to session
- *     description: Send a user message and get AI responses based on session mode
+ *     description: |
+ *       Send a user message and get AI responses based on session mode.
+ *       With `stream: true` the response is an SSE stream: `character_delta` events (and
+ *       `final_decision_delta` in DECISION mode) carry text while the model is still generating;
+ *       `character_response`/`character_analysis`, `final_decision` and `complete` follow once
+ *       the full payload is validated and saved. `character_thinking` announces each character
+ *       before its text starts. Streamed events carry an SSE `id`; a client that
+ *       loses the connection can resume the turn at GET /api/chat/sessions/{id}/stream.
+ *       In DECISION mode `final_decision` carries the
+ *       stored `action_steps` (see /api/user/action-steps).
+ *       DEBATE sessions stream `debate_start`, `debate_argument_delta` and `debate_synthesis_delta`
+ *       while generating, then `debate_positions`, `debate_round`, `debate_argument`,
+ *       `debate_synthesis` and `debate_complete`. The synthesis is saved as a SUMMARY message.
+ *       MENTOR sessions reply in plain text: `mentor_start`, `character_delta`, `character_response`
+ *       and `mentor_complete` with follow-up suggestions in the mentor's voice.
+ *       Messages with self-harm or crisis signals are not sent to the characters: the reply has
+ *       `mode: SAFETY` with a supportive message and helplines (CVV 188, SAMU 192), streamed as a
+ *       single `safety_response` event, and the message is saved as a NARRATOR message with
+ *       `meta.messageType: safety_response`.
+ *       Each message uses one unit of the daily quota of the user's plan (regenerations and edits
+ *       too); failed turns and safety responses are given back. `X-Quota-Limit`,
+ *       `X-Quota-Remaining` and `X-Quota-Reset` report the quota on every answer.
+ *       Replies that mention medication, diagnose the user or give harmful health advice are
+ *       rewritten before they are saved. Their deltas stop with a `character_guardrail` event
+ *       (`final_decision_guardrail`, `debate_argument_guardrail` or `debate_synthesis_guardrail`
+ *       for the other fields) and the repaired text arrives in the final event, with the
+ *       intervention stored in `meta.guardrail`.
+ *       Malformed structured output is repaired or requested again with the validation errors
+ *       (LLM_STRUCTURED_MAX_RETRIES), and characters the model left out are generated on their
+ *       own (announced by `character_thinking`), so streamed deltas may be followed by a
+ *       different final text. Recovery counters are reported in GET /api/health/details.
+ *       Rate limits are retried with backoff and failing models fall back to
+ *       OPENAI_FALLBACK_MODELS. When no model can answer, a NARRATOR "resting" message is saved
+ *       (`meta.messageType: ai_unavailable`), streamed as `degraded_response`, and the reply has
+ *       `degraded: true`; it does not use the quota.
+ *       A turn can be stopped with POST /api/chat/sessions/{id}/cancel, and is stopped when the
+ *       client disconnects (streams wait 10 seconds for a reconnection first). Streams then get
+ *       a `cancelled` event; what the characters had written is saved with `meta.cancelled: true`.
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
@@ -385,7 +644,7 @@ router.get('/sessions/:id', authenticateToken, getSession);
  *                   properties:
  *                     mode:
  *                       type: string
- *                       enum: [COUNCIL, DECISION]
+ *                       enum: [COUNCIL, DECISION, DEBATE, MENTOR]
  *                     messages:
  *                       type: array
  *                       items:
@@ -407,8 +666,10 @@ router.get('/sessions/:id', authenticateToken, getSession);
  *         description: Unauthorized
  *       404:
  *         description: Session not found or closed
+ *       409:
+ *         description: A reply is already being generated in this session (over HTTP or the WebSocket)
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit exceeded, or the daily message quota of the user's plan is used up (`error.type` QUOTA_EXCEEDED)
  *       500:
  *         description: Internal server error
  */
@@ -416,15 +677,20 @@ router.post('/sessions/:id/message',
   authenticateToken, 
   messageRateLimit,
   validateRequest(sendMessageSchema), 
+  enforceMessageQuota,
   sendMessage
 );
 
 /**
  * @swagger
- * /api/chat/sessions/{id}/rename:
+ * /api/chat/sessions/{id}/messages/{messageId}/edit:
  *   post:
- *     summary: Rename session
- *     description: Update the title of a chat session
+ *     summary: Edit a previous message
+ *     description: |
+ *       Fork the session at a previous user message: the new session gets the same participants
+ *       and a copy of the messages before it, then answers the edited text. The original session
+ *       is not changed. Accepts `stream: true` with the same SSE events as sending a message;
+ *       the `complete` event carries the new `session`.
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
@@ -436,44 +702,83 @@ router.post('/sessions/:id/message',
  *           type: string
  *           format: uuid
  *         description: Session ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user message to edit
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - title
- *             properties:
- *               title:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 100
- *                 example: "Novo título da conversa"
+ *             $ref: '#/components/schemas/SendMessage'
  *     responses:
  *       200:
- *         description: Session renamed successfully
+ *         description: Message edited successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Message edited successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         forkedFromId:
+ *                           type: string
+ *                         forkedAtMessageId:
+ *                           type: string
+ *                     userMessageId:
+ *                       type: string
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         type: object
  *       400:
- *         description: Validation error
+ *         description: Validation error or content moderation failure
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Session not found
+ *         description: Session or user message not found
+ *       409:
+ *         description: A reply is already being generated in this session
+ *       429:
+ *         description: Rate limit exceeded, or the daily message quota of the user's plan is used up (`error.type` QUOTA_EXCEEDED)
  *       500:
  *         description: Internal server error
  */
-router.post('/sessions/:id/rename', 
-  authenticateToken, 
-  validateRequest(updateSessionSchema), 
-  renameSession
+router.post('/sessions/:id/messages/:messageId/edit',
+  authenticateToken,
+  messageRateLimit,
+  validateRequest(editMessageSchema),
+  enforceMessageQuota,
+  editMessage
 );
 
 /**
  * @swagger
- * /api/chat/sessions/{id}/close:
+ * /api/chat/sessions/{id}/regenerate:
  *   post:
- *     summary: Close session
- *     description: Mark a chat session as closed (prevents new messages)
+ *     summary: Regenerate last answer
+ *     description: |
+ *       Generate a new answer to the last user message. Previous answers are kept as
+ *       variants of the same turn (`meta.replyTo` and `meta.variant` on each reply) and the
+ *       new variant becomes the one the conversation continues from. Accepts `stream: true`
+ *       with the same SSE events as sending a message.
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
@@ -485,24 +790,64 @@ router.post('/sessions/:id/rename',
  *           type: string
  *           format: uuid
  *         description: Session ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stream:
+ *                 type: boolean
+ *                 default: false
  *     responses:
  *       200:
- *         description: Session closed successfully
+ *         description: Response regenerated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Response regenerated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userMessageId:
+ *                       type: string
+ *                     variant:
+ *                       type: integer
+ *                       example: 2
+ *       400:
+ *         description: Session has no message to regenerate
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Session not found
+ *         description: Session not found or closed
+ *       409:
+ *         description: A reply is already being generated in this session
+ *       429:
+ *         description: Rate limit exceeded, or the daily message quota of the user's plan is used up (`error.type` QUOTA_EXCEEDED)
  *       500:
  *         description: Internal server error
  */
-router.post('/sessions/:id/close', authenticateToken, closeSession);
+router.post('/sessions/:id/regenerate',
+  authenticateToken,
+  messageRateLimit,
+  validateRequest(regenerateSchema),
+  enforceMessageQuota,
+  regenerateResponse
+);
 
 /**
  * @swagger
- * /api/chat/sessions/{id}:
- *   delete:
- *     summary: Delete session
- *     description: Permanently delete a chat session and all its messages
+ * /api/chat/sessions/{id}/messages/{messageId}/variant:
+ *   post:
+ *     summary: Select answer variant
+ *     description: Choose which regenerated answer to the last user message the conversation continues from
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
@@ -514,9 +859,52 @@ router.post('/sessions/:id/close', authenticateToken, closeSession);
  *           type: string
  *           format: uuid
  *         description: Session ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the last user message
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - variant
+ *             properties:
+ *               variant:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 1
  *     responses:
  *       200:
- *         description: Session deleted successfully
+ *         description: Response variant selected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userMessageId:
+ *                       type: string
+ *                     activeVariant:
+ *                       type: integer
+ *                     variantCount:
+ *                       type: integer
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *                     suggested_topics:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Not the last user message or variant out of range
  *       401:
  *         description: Unauthorized
  *       404:
@@ -524,14 +912,20 @@ router.post('/sessions/:id/close', authenticateToken, closeSession);
  *       500:
  *         description: Internal server error
  */
-router.delete('/sessions/:id', authenticateToken, deleteSession);
+router.post('/sessions/:id/messages/:messageId/variant',
+  authenticateToken,
+  validateRequest(selectVariantSchema),
+  selectResponseVariant
+);
 
 /**
  * @swagger
- * /api/chat/sessions/{id}/suggestions:
- *   get:
- *     summary: Get session topic suggestions
- *     description: Retrieve suggested topics for continuing the conversation
+ * /api/chat/sessions/{id}/participants:
+ *   post:
+ *     summary: Add participant
+ *     description: |
+ *       Invite a character into a running session. A NARRATOR message such as
+ *       "Salomão entrou no conselho" is recorded so the history shows when they joined.
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
@@ -543,29 +937,295 @@ router.delete('/sessions/:id', authenticateToken, deleteSession);
  *           type: string
  *           format: uuid
  *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - character
+ *             properties:
+ *               character:
+ *                 type: string
+ *                 example: "salomao"
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Speaking position; defaults to last
  *     responses:
- *       200:
- *         description: Suggestions retrieved successfully
+ *       201:
+ *         description: Participant added successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Suggestions retrieved successfully"
  *                 data:
  *                   type: object
  *                   properties:
- *                     suggestions:
+ *                     participants:
  *                       type: array
  *                       items:
- *                         type: string
- *                       example: ["Desenvolvimento pessoal", "Relacionamentos familiares", "Propósito de vida"]
- *                     sessionId:
+ *                         type: object
+ *                         properties:
+ *                           character:
+ *                             $ref: '#/components/schemas/Character'
+ *                           orderIndex:
+ *                             type: integer
+ *                     message:
+ *                       $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Participant limit reached
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session or character not found
+ *       409:
+ *         description: Character already in the session
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/sessions/:id/participants',
+  authenticateToken,
+  validateRequest(addParticipantSchema),
+  addSessionParticipant
+);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/participants/order:
+ *   put:
+ *     summary: Reorder participants
+ *     description: Change the speaking order of a running session and record it as a NARRATOR message
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - characters
+ *             properties:
+ *               characters:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every current participant key, in the new order
+ *                 example: ["salomao", "moises"]
+ *     responses:
+ *       200:
+ *         description: Participants reordered successfully
+ *       400:
+ *         description: Keys do not match the current participants
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found or closed
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/sessions/:id/participants/order',
+  authenticateToken,
+  validateRequest(reorderParticipantsSchema),
+  reorderSessionParticipants
+);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/participants/{characterKey}:
+ *   delete:
+ *     summary: Remove participant
+ *     description: Remove a character from a running session and record it as a NARRATOR message
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *       - in: path
+ *         name: characterKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Key of the character to remove
+ *     responses:
+ *       200:
+ *         description: Participant removed successfully
+ *       400:
+ *         description: The last participant cannot be removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session or participant not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/sessions/:id/participants/:characterKey', authenticateToken, removeSessionParticipant);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/rename:
+ *   post:
+ *     summary: Rename session
+ *     description: Update the title of a chat session
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 100
+ *                 example: "Novo título da conversa"
+ *     responses:
+ *       200:
+ *         description: Session renamed successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/sessions/:id/rename', 
+  authenticateToken, 
+  validateRequest(updateSessionSchema), 
+  renameSession
+);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/close:
+ *   post:
+ *     summary: Close session
+ *     description: Mark a chat session as closed (prevents new messages)
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session closed successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/sessions/:id/close', authenticateToken, closeSession);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}:
+ *   delete:
+ *     summary: Delete session
+ *     description: Permanently delete a chat session and all its messages
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/sessions/:id', authenticateToken, deleteSession);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/suggestions:
+ *   get:
+ *     summary: Get session topic suggestions
+ *     description: Retrieve suggested topics for continuing the conversation
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Suggestions retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     suggestions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["Desenvolvimento pessoal", "Relacionamentos familiares", "Propósito de vida"]
+ *                     sessionId:
  *                       type: string
  *       401:
  *         description: Unauthorized
@@ -576,4 +1236,397 @@ router.delete('/sessions/:id', authenticateToken, deleteSession);
  */
 router.get('/sessions/:id/suggestions', authenticateToken, getSessionSuggestions);
 
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/stream:
+ *   get:
+ *     summary: Resume a streamed turn
+ *     description: |
+ *       Reconnects to the SSE stream of the latest turn of the session. Every streamed event has
+ *       an `id` ("<streamId>:<seq>"); send the last one received in `Last-Event-ID` to get only
+ *       the events that were missed, then the rest of the turn as it is generated. Without it the
+ *       whole turn is replayed. Finished turns can be replayed for a couple of minutes
+ *       (SSE_REPLAY_RETENTION_MS). Open connections get a `: heartbeat` comment every 15 seconds.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Id of the last event received
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as Last-Event-ID, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: SSE stream with the missed events and the rest of the turn
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       204:
+ *         description: No turn to resume; read the messages from the session instead
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.get('/sessions/:id/stream', authenticateToken, resumeSessionStream);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/export:
+ *   get:
+ *     summary: Export a chat session
+ *     description: |
+ *       Downloads the conversation as it is shown (selected reply variants only, without rolling
+ *       summaries). Characters appear with their avatars and names, the final decision of a
+ *       DECISION session is highlighted with its rationale and next steps, and the suggested
+ *       topics of each turn are included. `json` returns the same content as structured entries.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, md, json]
+ *           default: pdf
+ *         description: Export format
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 session:
+ *                   type: object
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       avatarUrl:
+ *                         type: string
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.get('/sessions/:id/export',
+  authenticateToken,
+  validateRequest(exportSessionSchema, 'query'),
+  exportSession
+);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/shares:
+ *   post:
+ *     summary: Create a share link
+ *     description: |
+ *       Creates a read-only link to the session. Anyone with the token can read the conversation
+ *       at GET /api/chat/shared/{token}, without the user's name, email or message metadata.
+ *       The link follows the conversation as it continues, until it is revoked or expires.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Days until the link stops working; it never expires when omitted
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     share:
+ *                       $ref: '#/components/schemas/ChatShare'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.post('/sessions/:id/shares',
+  authenticateToken,
+  validateRequest(createShareSchema),
+  createShare
+);
+
+/**
+ * @swagger
+ * /api/chat/shares:
+ *   get:
+ *     summary: List active share links
+ *     description: Share links of the user that are neither revoked nor expired, newest first.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only the links of this session
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shares:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ChatShare'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/shares',
+  authenticateToken,
+  validateRequest(listSharesSchema, 'query'),
+  getShares
+);
+
+/**
+ * @swagger
+ * /api/chat/shares/{shareId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working immediately. Other links to the same session are kept.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Share ID
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Share not found or already revoked
+ */
+router.delete('/shares/:shareId', authenticateToken, deleteShare);
+
+/**
+ * @swagger
+ * /api/chat/shared/{token}:
+ *   get:
+ *     summary: Read a shared conversation
+ *     description: |
+ *       Public, read-only view of a shared session (no authentication). Shows the selected
+ *       replies with the characters' names and avatars, decisions and suggested topics. The
+ *       user's messages are signed "Autor da conversa", no message carries metadata, and
+ *       support responses to crisis messages are left out. Revoked and expired links answer 404.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     responses:
+ *       200:
+ *         description: Shared conversation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       type: object
+ *                       properties:
+ *                         title:
+ *                           type: string
+ *                         mode:
+ *                           type: string
+ *                         modeLabel:
+ *                           type: string
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *                     participants:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     sharedAt:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: Link not found, revoked or expired
+ */
+router.get('/shared/:token', resourceRateLimit, getSharedConversation);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/cancel:
+ *   post:
+ *     summary: Cancel the reply being generated
+ *     description: |
+ *       Aborts the model calls of the turn in progress in the session, whichever transport
+ *       started it. Replies already completed stay as they are; partially generated ones are
+ *       saved with `meta.cancelled: true`. A streamed turn ends with a `cancelled` event and a
+ *       JSON request answers 499. Cancelled turns do not use the daily quota.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Generation cancelled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Nothing is being generated in this session
+ */
+router.post('/sessions/:id/cancel', authenticateToken, cancelSessionTurn);
+
+/**
+ * @swagger
+ * /api/chat/sessions/{id}/ws:
+ *   get:
+ *     summary: Open a WebSocket to a session
+ *     description: |
+ *       Upgrades to a WebSocket bound to the session. Authenticate with the usual bearer token
+ *       in the `Authorization` header. Clients that cannot set headers (browsers) connect
+ *       without it and send `{ "type": "auth", "data": { "token": "..." } }` as the first event
+ *       within 10 seconds; otherwise the socket is closed with code 4401 (4404 when the session
+ *       is not found). Tokens in the URL are not accepted. Every socket of the session receives
+ *       the same JSON events as the SSE stream (`{ type, data, timestamp }`), plus `connected`,
+ *       `user_message`, `typing` from the user's other sockets and `cancelled`.
+ *
+ *       Client events:
+ *       - `{ "type": "message", "data": { "content": "...", "targets": [...] } }` runs a turn,
+ *         with the same validation, rate limit, quota and safety handling as POST /message
+ *       - `{ "type": "typing", "data": { "isTyping": true } }` is relayed to the other sockets
+ *       - `{ "type": "cancel" }` stops the reply being generated; the quota unit is given back
+ *
+ *       One turn runs at a time per session; errors arrive as `error` events on the socket
+ *       that caused them.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       101:
+ *         description: Switching to the WebSocket protocol
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+
 export default router;
@@ -3,11 +3,17 @@ import authRoutes from './authRoutes.js';
 import userRoutes from './userRoutes.js';
 import questionnaireRoutes from './questionnaireRoutes.js';
 import preferencesRoutes from './preferencesRoutes.js';
+import memoryRoutes from './memoryRoutes.js';
+import actionPlanRoutes from './actionPlanRoutes.js';
+import usageRoutes from './usageRoutes.js';
 import characterRoutes from './characterRoutes.js';
 import chatRoutes from './chatRoutes.js';
 import oracaoRoutes from './oracaoRoutes.js';
 import estudoRoutes from './estudoRoutes.js';
 import diarioFeRoutes from './diarioFeRoutes.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { getStructuredOutputMetrics } from '../services/structuredOutputService.js';
+import { getLLMAvailability, getLLMStatus } from '../config/llm.js';
 
 const router = Router();
 
@@ -16,6 +22,9 @@ router.use('/auth', authRoutes);
 router.use('/user', userRoutes);
 router.use('/user/questionnaire', questionnaireRoutes);
 router.use('/user/preferences', preferencesRoutes);
+router.use('/user/memories', memoryRoutes);
+router.use('/user/action-steps', actionPlanRoutes);
+router.use('/user/usage', usageRoutes);
 router.use('/characters', characterRoutes);
 router.use('/chat', chatRoutes);
 
@@ -24,12 +33,25 @@ router.use('/prayers', oracaoRoutes);
 router.use('/studies', estudoRoutes);
 router.use('/diary', diarioFeRoutes);
 
-// Health check endpoint
+// Health check endpoint; public, so the AI service is only reported as up or degraded
 router.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Mind Chat API is running',
     timestamp: new Date().toISOString(),
+    ai: getLLMAvailability(),
+  });
+});
+
+// Provider circuits, fallback models, and how often structured model output needed repair,
+// retries or salvage
+router.get('/health/details', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Mind Chat API is running',
+    timestamp: new Date().toISOString(),
+    ai: getLLMStatus(),
+    structuredOutput: getStructuredOutputMetrics(),
   });
 });
 
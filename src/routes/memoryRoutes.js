@@ -0,0 +1,189 @@
+/**
+ * Memory Routes
+ * Routes for the user's long-term memory with Swagger documentation
+ */
+
+import { Router } from 'express';
+import { resourceRateLimit } from '../middlewares/rateLimiting.js';
+import {
+  getMemories,
+  updateMemory,
+  deleteMemory,
+  deleteAllMemories
+} from '../controllers/memoryController.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import {
+  validateRequest,
+  listMemoriesSchema,
+  updateMemorySchema
+} from '../utils/zodValidation.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserMemory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         kind:
+ *           type: string
+ *           enum: [FACT, STRUGGLE, DECISION]
+ *         content:
+ *           type: string
+ *           example: "Está se preparando para uma mudança de carreira para a área de educação"
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: string
+ *         source:
+ *           type: string
+ *           enum: [chat, diary, decision]
+ *         sourceId:
+ *           type: string
+ *           nullable: true
+ *         sessionId:
+ *           type: string
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/user/memories:
+ *   get:
+ *     summary: List what the characters remember about the user
+ *     description: Memories are built from chat messages, diary entries and DECISION outcomes and recalled in new conversations
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [FACT, STRUGGLE, DECISION]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Memories retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticateToken,
+  resourceRateLimit,
+  validateRequest(listMemoriesSchema, 'query'),
+  getMemories
+);
+
+/**
+ * @swagger
+ * /api/user/memories:
+ *   delete:
+ *     summary: Delete all memories
+ *     description: Forget everything remembered about the user
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Memories deleted successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/', authenticateToken, deleteAllMemories);
+
+/**
+ * @swagger
+ * /api/user/memories/{id}:
+ *   put:
+ *     summary: Edit a memory
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 500
+ *               kind:
+ *                 type: string
+ *                 enum: [FACT, STRUGGLE, DECISION]
+ *     responses:
+ *       200:
+ *         description: Memory updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Memory not found
+ */
+router.put('/:id',
+  authenticateToken,
+  validateRequest(updateMemorySchema),
+  updateMemory
+);
+
+/**
+ * @swagger
+ * /api/user/memories/{id}:
+ *   delete:
+ *     summary: Delete a memory
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Memory deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Memory not found
+ */
+router.delete('/:id', authenticateToken, deleteMemory);
+
+export default router;
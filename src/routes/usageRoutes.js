@@ -0,0 +1,126 @@
+/**
+ * Usage Routes
+ * Token and cost accounting of the model calls made for the user, with Swagger documentation
+ */
+
+import { Router } from 'express';
+import { resourceRateLimit } from '../middlewares/rateLimiting.js';
+import { getUsage } from '../controllers/usageController.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { validateRequest, usageQuerySchema } from '../utils/zodValidation.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UsageTotals:
+ *       type: object
+ *       properties:
+ *         requests:
+ *           type: integer
+ *         promptTokens:
+ *           type: integer
+ *         completionTokens:
+ *           type: integer
+ *         totalTokens:
+ *           type: integer
+ *         estimatedCost:
+ *           type: number
+ *           description: Estimated cost in USD
+ *           example: 0.004215
+ */
+
+/**
+ * @swagger
+ * /api/user/usage:
+ *   get:
+ *     summary: Get token usage and estimated cost
+ *     description: |
+ *       Every model call (characters, suggestions, guardrails, session summaries, memory
+ *       extraction and notifications) is recorded with its tokens, model and estimated cost.
+ *       Chat sessions also expose their running totals (`promptTokens`, `completionTokens`,
+ *       `estimatedCost`). Defaults to the current month (UTC).
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to the first day of the current month)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     usage:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                         totals:
+ *                           $ref: '#/components/schemas/UsageTotals'
+ *                         byOperation:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/UsageTotals'
+ *                               - type: object
+ *                                 properties:
+ *                                   operation:
+ *                                     type: string
+ *                                     example: council
+ *                         byModel:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/UsageTotals'
+ *                               - type: object
+ *                                 properties:
+ *                                   model:
+ *                                     type: string
+ *                                     example: gpt-4o-mini
+ *                         months:
+ *                           type: array
+ *                           description: Monthly totals for the months the range touches
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/UsageTotals'
+ *                               - type: object
+ *                                 properties:
+ *                                   month:
+ *                                     type: string
+ *                                     example: "2026-10"
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticateToken,
+  resourceRateLimit,
+  validateRequest(usageQuerySchema, 'query'),
+  getUsage
+);
+
+export default router;
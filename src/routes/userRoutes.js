@@ -37,6 +37,23 @@ const router = Router();
  *                   properties:
  *                     user:
  *                       $ref: '#/components/schemas/User'
+ *                     quota:
+ *                       type: object
+ *                       description: Today's message quota of the user's plan (UTC day)
+ *                       properties:
+ *                         plan:
+ *                           type: string
+ *                           enum: [FREE, PREMIUM]
+ *                         limit:
+ *                           type: integer
+ *                           example: 30
+ *                         used:
+ *                           type: integer
+ *                         remaining:
+ *                           type: integer
+ *                         resetsAt:
+ *                           type: string
+ *                           format: date-time
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
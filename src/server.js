@@ -6,6 +6,8 @@ import routes from './routes/index.js';
 import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
 import { generalRateLimit } from './middlewares/rateLimiting.js';
 import { initializeNotificationScheduler, stopNotificationScheduler } from './services/notificationService.js';
+import { initializeActionCheckInScheduler, stopActionCheckInScheduler } from './services/actionPlanService.js';
+import { initializeChatSocketServer, stopChatSocketServer } from './services/chatSocketService.js';
 
 const app = express();
 
@@ -30,6 +32,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Quota-Plan', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After'],
 }));
 
 /**
@@ -99,7 +102,7 @@ app.use(errorHandler);
  */
 const startServer = () => {
   try {
-    app.listen(config.port, () => {
+    const server = app.listen(config.port, () => {
       console.log(`🚀 Mind Chat API started successfully`);
       console.log(`📍 Server running on port ${config.port}`);
       console.log(`🌍 Environment: ${config.nodeEnv}`);
@@ -123,8 +126,12 @@ const startServer = () => {
       console.log('    GET  /api/user/questionnaire/status - Check questionnaire status (protected)');
       console.log('    GET  /api/user/questionnaire/stats  - Get questionnaire stats (protected)');
       console.log('');
+      console.log('  💬 Chat WebSocket:');
+      console.log('    WS   /api/chat/sessions/:id/ws   - Live chat session (protected)');
+      console.log('');
       console.log('  ⚕️  System:');
       console.log('    GET  /api/health                 - Health check');
+      console.log('    GET  /api/health/details         - AI circuits and structured output metrics (protected)');
       console.log('');
       
       // Initialize notification scheduler
@@ -134,6 +141,22 @@ const startServer = () => {
       } catch (error) {
         console.error('  ❌ Failed to initialize notification scheduler:', error.message);
       }
+
+      // Initialize action plan check-ins
+      try {
+        initializeActionCheckInScheduler();
+        console.log('  📌 Action check-in scheduler initialized');
+      } catch (error) {
+        console.error('  ❌ Failed to initialize action check-in scheduler:', error.message);
+      }
+
+      // Initialize chat WebSocket server
+      try {
+        initializeChatSocketServer(server);
+        console.log('  💬 Chat WebSocket server initialized');
+      } catch (error) {
+        console.error('  ❌ Failed to initialize chat WebSocket server:', error.message);
+      }
     });
   } catch (error) {
     console.error('❌ Error starting server:', error);
@@ -145,12 +168,16 @@ const startServer = () => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
   stopNotificationScheduler();
+  stopActionCheckInScheduler();
+  stopChatSocketServer();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
   stopNotificationScheduler();
+  stopActionCheckInScheduler();
+  stopChatSocketServer();
   process.exit(0);
 });
 
@@ -0,0 +1,229 @@
+/**
+ * Action Plan Service
+ * Turns the action steps of a DECISION into trackable items and posts a check-in
+ * message in the session once a pending step is overdue.
+ */
+
+import cron from 'node-cron';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overdue steps checked per scheduler run
+const CHECK_IN_BATCH_SIZE = 200;
+
+let checkInJob = null;
+
+/**
+ * Store the action steps of a final decision
+ * Each reply variant of a turn keeps its own plan; only the plan of the selected variant is
+ * listed and checked in on (see setActiveActionPlan).
+ */
+export async function createActionSteps({ userId, sessionId, decisionMessageId, userMessageId = null, variant = 1, steps }) {
+  if (!steps?.length) {
+    return [];
+  }
+
+  const now = Date.now();
+  const created = [];
+
+  for (const [index, step] of steps.entries()) {
+    created.push(await prisma.actionStep.create({
+      data: {
+        userId,
+        sessionId,
+        decisionMessageId,
+        userMessageId,
+        variant,
+        title: step.title.trim(),
+        description: step.description?.trim() || null,
+        orderIndex: index,
+        dueAt: step.due_in_days === null || step.due_in_days === undefined
+          ? null
+          : new Date(now + step.due_in_days * DAY_MS)
+      }
+    }));
+  }
+
+  logger.info(`Stored ${created.length} action steps for decision ${decisionMessageId}`);
+  return created;
+}
+
+/**
+ * Make the plan of one variant of a turn the active one, when that variant is selected
+ */
+export async function setActiveActionPlan(userMessageId, variant) {
+  await prisma.actionStep.updateMany({
+    where: { userMessageId, variant: { not: variant }, active: true },
+    data: { active: false }
+  });
+  await prisma.actionStep.updateMany({
+    where: { userMessageId, variant, active: false },
+    data: { active: true }
+  });
+}
+
+function buildActionStepWhere(userId, { status, sessionId } = {}) {
+  return {
+    userId,
+    active: true,
+    ...(status && { status }),
+    ...(sessionId && { sessionId })
+  };
+}
+
+/**
+ * Count a user's action steps
+ */
+export async function countActionSteps(userId, filters) {
+  return prisma.actionStep.count({ where: buildActionStepWhere(userId, filters) });
+}
+
+/**
+ * List a user's action steps, nearest due date first
+ */
+export async function listActionSteps(userId, { status, sessionId, offset = 0, limit = 20 } = {}) {
+  return prisma.actionStep.findMany({
+    where: buildActionStepWhere(userId, { status, sessionId }),
+    include: {
+      session: {
+        select: { id: true, title: true }
+      }
+    },
+    orderBy: [
+      { status: 'asc' },
+      { dueAt: { sort: 'asc', nulls: 'last' } },
+      { createdAt: 'desc' },
+      { orderIndex: 'asc' }
+    ],
+    skip: offset,
+    take: limit
+  });
+}
+
+/**
+ * Mark an action step as done or pending again
+ * Returns null when the step does not exist or belongs to someone else.
+ */
+export async function updateActionStepStatus(userId, stepId, status) {
+  const step = await prisma.actionStep.findFirst({
+    where: { id: stepId, userId }
+  });
+
+  if (!step) {
+    return null;
+  }
+
+  return prisma.actionStep.update({
+    where: { id: stepId },
+    data: {
+      status,
+      completedAt: status === 'DONE' ? (step.completedAt || new Date()) : null
+    }
+  });
+}
+
+function buildCheckInContent(steps) {
+  if (steps.length === 1) {
+    return `Chegou o prazo do passo "${steps[0].title}". Como foi? Conte como você se saiu ou o que te impediu, e marque o passo como concluído quando terminar.`;
+  }
+
+  const list = steps.map(step => `- ${step.title}`).join('\n');
+  return `Chegou o prazo destes passos do seu plano:\n${list}\nComo foi? Conte como você se saiu ou o que te impediu, e marque cada passo como concluído quando terminar.`;
+}
+
+/**
+ * Post one check-in message per session with overdue pending steps
+ * Returns the number of check-ins sent.
+ */
+export async function sendDueCheckIns() {
+  const overdueSteps = await prisma.actionStep.findMany({
+    where: {
+      status: 'PENDING',
+      active: true,
+      checkInSentAt: null,
+      dueAt: { lte: new Date() },
+      session: { closed: false }
+    },
+    orderBy: [
+      { dueAt: 'asc' },
+      { orderIndex: 'asc' }
+    ],
+    take: CHECK_IN_BATCH_SIZE
+  });
+
+  const stepsBySession = new Map();
+  for (const step of overdueSteps) {
+    const sessionSteps = stepsBySession.get(step.sessionId) || [];
+    sessionSteps.push(step);
+    stepsBySession.set(step.sessionId, sessionSteps);
+  }
+
+  let sent = 0;
+  for (const [sessionId, steps] of stepsBySession) {
+    try {
+      await prisma.message.create({
+        data: {
+          sessionId,
+          role: 'NARRATOR',
+          authorName: 'Conselho',
+          content: buildCheckInContent(steps),
+          meta: {
+            messageType: 'action_check_in',
+            actionStepIds: steps.map(step => step.id)
+          }
+        }
+      });
+
+      await prisma.actionStep.updateMany({
+        where: { id: { in: steps.map(step => step.id) } },
+        data: { checkInSentAt: new Date() }
+      });
+
+      await prisma.chatSession.update({
+        where: { id: sessionId },
+        data: { updatedAt: new Date() }
+      });
+
+      sent++;
+    } catch (error) {
+      logger.error(`Error sending action check-in to session ${sessionId}:`, error);
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`📌 Sent ${sent} action plan check-ins`);
+  }
+
+  return sent;
+}
+
+/**
+ * Initialize action plan check-in scheduler
+ */
+export function initializeActionCheckInScheduler() {
+  stopActionCheckInScheduler();
+
+  // Runs every hour, offset from the notification jobs
+  checkInJob = cron.schedule('30 * * * *', async () => {
+    try {
+      await sendDueCheckIns();
+    } catch (error) {
+      logger.error('Error in action check-in job:', error);
+    }
+  });
+
+  logger.info('✅ Action check-in scheduler initialized');
+}
+
+/**
+ * Stop action plan check-in scheduler
+ */
+export function stopActionCheckInScheduler() {
+  if (checkInJob) {
+    checkInJob.stop();
+    checkInJob = null;
+    logger.info('✅ Action check-in scheduler stopped');
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Active Turn Service
+ * Keeps an AbortController for every turn being generated so it can be cancelled from the
+ * cancel endpoint, the WebSocket channel or when the client goes away. Turns live in memory
+ * in this process.
+ */
+
+import logger from '../utils/logger.js';
+
+// How long a turn whose client went away waits for it to reconnect before it is cancelled
+export const DISCONNECT_GRACE_MS = parseInt(process.env.TURN_DISCONNECT_GRACE_MS) || 10000;
+
+// sessionId -> Set of active turns of that session
+const activeTurns = new Map();
+
+/**
+ * Register a turn that is about to be generated
+ * Returns the turn; pass `turn.controller.signal` to the orchestrator and release it when done.
+ */
+export function registerActiveTurn(sessionId, { userId, userMessageId = null, transport = 'http' }) {
+  const turn = {
+    sessionId,
+    userId,
+    userMessageId,
+    transport,
+    controller: new AbortController(),
+    startedAt: new Date()
+  };
+
+  if (!activeTurns.has(sessionId)) {
+    activeTurns.set(sessionId, new Set());
+  }
+  activeTurns.get(sessionId).add(turn);
+
+  return turn;
+}
+
+/**
+ * Forget a finished turn
+ */
+export function releaseActiveTurn(turn) {
+  const turns = activeTurns.get(turn.sessionId);
+  turns?.delete(turn);
+  if (turns?.size === 0) {
+    activeTurns.delete(turn.sessionId);
+  }
+}
+
+/**
+ * Whether a turn of the session is still being generated
+ */
+export function hasActiveTurn(sessionId) {
+  return activeTurns.has(sessionId);
+}
+
+/**
+ * Abort one turn; `reason` says why (user, disconnect, shutdown)
+ */
+export function abortActiveTurn(turn, reason = 'user') {
+  if (turn.controller.signal.aborted) {
+    return false;
+  }
+
+  turn.cancelReason = reason;
+  turn.controller.abort();
+  logger.info(`Turn for message ${turn.userMessageId} in session ${turn.sessionId} cancelled (${reason})`);
+  return true;
+}
+
+/**
+ * Abort every turn of a session that belongs to the user, optionally only those started
+ * over one transport; returns how many were cancelled
+ */
+export function cancelSessionTurns(sessionId, userId, { reason = 'user', transport = null } = {}) {
+  let cancelled = 0;
+
+  for (const turn of activeTurns.get(sessionId) || []) {
+    if (turn.userId !== userId || (transport && turn.transport !== transport)) {
+      continue;
+    }
+    if (abortActiveTurn(turn, reason)) {
+      cancelled++;
+    }
+  }
+
+  return cancelled;
+}
+
+/**
+ * Abort every turn, when the server shuts down
+ */
+export function cancelAllTurns(reason = 'shutdown') {
+  for (const turns of activeTurns.values()) {
+    for (const turn of turns) {
+      abortActiveTurn(turn, reason);
+    }
+  }
+}
@@ -1,27 +1,597 @@
 /**
  * Chat Orchestrator Service
- * Handles the main logic for COUNCIL and DECISION chat modes
+ * Handles the main logic for COUNCIL, DECISION, DEBATE and MENTOR chat modes
  */
 
-import { createStructuredResponse, COUNCIL_RESPONSE_SCHEMA, DECISION_RESPONSE_SCHEMA } from '../config/openai.js';
+import { 
+  createStructuredResponse, 
+  createTextCompletion, 
+  COUNCIL_RESPONSE_SCHEMA, 
+  DECISION_RESPONSE_SCHEMA, 
+  DEBATE_RESPONSE_SCHEMA, 
+  SUGGESTED_TOPICS_SCHEMA 
+} from '../config/llm.js';
 import { 
   buildUserContext, 
   buildCouncilPrompt, 
   buildDecisionPrompt, 
+  buildDebatePrompt, 
+  buildMentorMessages, 
+  buildMentorSuggestionsPrompt, 
+  buildSequentialCouncilMessages, 
+  buildSuggestedTopicsPrompt, 
   buildOpenAIMessages 
 } from './promptBuilder.js';
-import { councilResponseSchema, decisionResponseSchema } from '../utils/zodValidation.js';
+import { 
+  councilResponseSchema, 
+  decisionResponseSchema, 
+  debateResponseSchema, 
+  suggestedTopicsResponseSchema 
+} from '../utils/zodValidation.js';
+import { buildPromptHistory, maybeSummarizeSession } from './sessionSummaryService.js';
+import { extractMemoriesFromText, rememberDecision } from './userMemoryService.js';
+import { buildTurnMeta } from './messageBranchService.js';
+import { createActionSteps } from './actionPlanService.js';
+import { attributeUsage } from './usageService.js';
+import { detectGuardrailViolations, enforceGuardrails } from './guardrailService.js';
+import { recoverStructuredOutput, recordMissingCharacters } from './structuredOutputService.js';
 import { sendSSEEvent, sendSSEError } from '../utils/sse.js';
-import { AppError, OpenAIError } from '../utils/errors.js';
+import { createPartialJsonParser, parsePartialJson } from '../utils/partialJson.js';
+import { AppError, OpenAIError, CancelledError, AIUnavailableError } from '../utils/errors.js';
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
 
+const DEFAULT_COUNCIL_TOPICS = [
+  "Desenvolvimento pessoal",
+  "Relacionamentos familiares",
+  "Propósito de vida"
+];
+
+const DEFAULT_DECISION_TOPICS = [
+  "Próximos passos práticos",
+  "Reflexões sobre a decisão",
+  "Implementação das mudanças"
+];
+
+const DEFAULT_DEBATE_TOPICS = [
+  "Pesar os argumentos com calma",
+  "O que mais importa nesta escolha",
+  "Próximos passos depois do debate"
+];
+
+const DEFAULT_MENTOR_TOPICS = [
+  "Quero aprofundar esse ponto",
+  "Como aplicar isso no meu dia a dia?",
+  "O que você faria no meu lugar?"
+];
+
+// Saved instead of the characters' replies when no model can answer
+const AI_UNAVAILABLE_RESPONSE = 'Os conselheiros estão descansando por alguns instantes e não conseguiram responder agora. Sua mensagem ficou guardada: tente novamente em alguns minutos.';
+
+// Rounds per debate turn when the session does not set its own
+const DEFAULT_DEBATE_ROUNDS = parseInt(process.env.CHAT_DEBATE_ROUNDS) || 2;
+// Output tokens reserved for each debate argument (60-150 words)
+const DEBATE_TOKENS_PER_ARGUMENT = 300;
+
+/**
+ * Attribute the model calls of a turn to its user, session and USER message
+ * `usageRecords` collects the calls until attributeUsage links them to the saved replies.
+ */
+function buildUsageContext(session, turn, operation) {
+  return {
+    userId: session.userId || null,
+    sessionId: session.id,
+    messageId: turn?.userMessageId || null,
+    operation,
+    usageRecords: []
+  };
+}
+
+/**
+ * Request a structured completion and return its raw JSON text
+ * When streaming, onPartial receives the partially parsed payload after every chunk.
+ * An aborted `signal` raises a CancelledError carrying the partially parsed payload.
+ */
+async function generateStructuredContent({ messages, responseFormat, stream = false, onPartial = null, maxTokens, usageContext, signal = null }) {
+  let content = '';
+
+  try {
+    if (!stream) {
+      const completion = await createStructuredResponse({
+        messages,
+        responseFormat,
+        stream: false,
+        maxTokens,
+        usageContext,
+        signal
+      });
+      return completion.choices[0]?.message?.content;
+    }
+
+    const completionStream = await createStructuredResponse({
+      messages,
+      responseFormat,
+      stream: true,
+      maxTokens,
+      usageContext,
+      signal
+    });
+
+    // Parsed incrementally: reparsing the whole buffer on every chunk is quadratic
+    const parser = createPartialJsonParser();
+
+    for await (const chunk of completionStream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (!delta) {
+        continue;
+      }
+
+      content += delta;
+      const partial = parser.push(delta);
+      if (partial && onPartial) {
+        onPartial(partial);
+      }
+    }
+
+    return content;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new CancelledError('Generation cancelled', parsePartialJson(content));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Request a plain text completion and return its content
+ * When streaming, onDelta receives every text chunk as it arrives.
+ * An aborted `signal` raises a CancelledError carrying the text generated so far.
+ */
+async function generateTextContent({ messages, stream = false, onDelta = null, usageContext, signal = null }) {
+  let content = '';
+
+  try {
+    if (!stream) {
+      const completion = await createTextCompletion({ messages, stream: false, usageContext, signal });
+      return completion.choices[0]?.message?.content;
+    }
+
+    const completionStream = await createTextCompletion({ messages, stream: true, usageContext, signal });
+
+    for await (const chunk of completionStream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (!delta) {
+        continue;
+      }
+
+      content += delta;
+      if (onDelta) {
+        onDelta(delta);
+      }
+    }
+
+    return content;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new CancelledError('Generation cancelled', content);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save what the characters had said when a turn was cancelled, marked with `meta.cancelled`
+ * Replies that would have tripped a guardrail were never shown and are dropped.
+ */
+async function saveCancelledReplies(session, turn, mode, characters, replies) {
+  const saved = [];
+
+  for (const reply of replies) {
+    const character = characters.find(c => c.key === reply.characterKey);
+    const content = typeof reply.content === 'string' ? reply.content.trim() : '';
+    if (!character || !content || detectGuardrailViolations(content).length > 0) {
+      continue;
+    }
+
+    saved.push(await prisma.message.create({
+      data: {
+        sessionId: session.id,
+        role: 'CHARACTER',
+        authorKey: character.key,
+        authorName: character.name,
+        content,
+        meta: {
+          ...buildTurnMeta(turn),
+          mode,
+          ...reply.meta,
+          characterOrder: characters.findIndex(c => c.key === character.key),
+          cancelled: true
+        }
+      }
+    }));
+  }
+
+  if (saved.length > 0) {
+    logger.info(`Saved ${saved.length} partial replies of cancelled turn in session ${session.id}`);
+  }
+  return saved;
+}
+
+/**
+ * Fill in the suggested topics when the model left them out
+ */
+function withDefaultTopics(raw, defaults) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw.suggested_topics)) {
+    return raw;
+  }
+  return { ...raw, suggested_topics: defaults };
+}
+
+/**
+ * Keep the character items of an invalid response that are usable on their own
+ * Returns the payload validated with those items, or null when the rest is still invalid.
+ */
+function salvageCharacterItems(raw, schema, { mode, listField, textField }) {
+  const items = (Array.isArray(raw?.[listField]) ? raw[listField] : [])
+    .filter(item => typeof item?.characterKey === 'string' && typeof item?.[textField] === 'string' && item[textField].trim())
+    .map(item => ({
+      ...item,
+      characterName: typeof item.characterName === 'string' ? item.characterName : item.characterKey
+    }));
+
+  const result = schema.safeParse({ ...raw, mode, [listField]: items });
+  return result.success ? result.data : null;
+}
+
+/**
+ * Generate on their own the characters a structured response left out
+ * `replies` carry their text in `field`; the result follows the participant order.
+ */
+async function completeMissingCharacters({ operation, characters, replies, field, messageHistory, userInput, userContext, usageContext, signal, res = null }) {
+  const byKey = new Map(
+    replies
+      .filter(reply => characters.some(c => c.key === reply.characterKey))
+      .map(reply => [reply.characterKey, reply])
+  );
+  const missing = characters.filter(c => !byKey.has(c.key));
+
+  if (missing.length === 0) {
+    return replies;
+  }
+
+  logger.warn(`${operation} response left out ${missing.map(c => c.key).join(', ')}; generating them separately`);
+  recordMissingCharacters(operation, missing.length);
+
+  for (const character of missing) {
+    if (res) {
+      sendSSEEvent(res, 'character_thinking', {
+        index: characters.indexOf(character),
+        characterKey: character.key,
+        characterName: character.name
+      });
+    }
+
+    const previousSpeakers = [...byKey.values()].map(reply => ({
+      characterName: reply.characterName,
+      content: reply[field]
+    }));
+
+    const content = await generateTextContent({
+      messages: buildSequentialCouncilMessages(character, characters, messageHistory, userInput, userContext, previousSpeakers),
+      usageContext,
+      signal
+    });
+
+    if (!content?.trim()) {
+      throw new OpenAIError(`Empty response from AI for ${character.name}`);
+    }
+
+    byKey.set(character.key, {
+      characterKey: character.key,
+      characterName: character.name,
+      [field]: content.trim()
+    });
+  }
+
+  return characters.filter(c => byKey.has(c.key)).map(c => byKey.get(c.key));
+}
+
+/**
+ * Emit the unsent tail of each item's text field as a character_delta SSE event
+ * `sentLengths` keeps how much of every item was already pushed to the client; items that
+ * trip a guardrail stop streaming and are only sent again once repaired.
+ * A character_thinking event announces each character before its first delta.
+ */
+function emitCharacterDeltas(res, items, field, sentLengths, heldBack) {
+  if (!Array.isArray(items)) {
+    return;
+  }
+
+  items.forEach((item, index) => {
+    const text = item?.[field];
+    if (typeof text !== 'string') {
+      return;
+    }
+
+    // Key and name come before the text, so both are complete once the text starts
+    if (sentLengths[index] === undefined) {
+      sentLengths[index] = 0;
+      sendSSEEvent(res, 'character_thinking', {
+        index,
+        characterKey: item.characterKey || null,
+        characterName: item.characterName || null
+      });
+    }
+
+    const sent = sentLengths[index] || 0;
+    if (text.length <= sent || heldBack.has(index)) {
+      return;
+    }
+    sentLengths[index] = text.length;
+
+    if (detectGuardrailViolations(text).length > 0) {
+      heldBack.add(index);
+      sendSSEEvent(res, 'character_guardrail', {
+        index,
+        characterKey: item.characterKey || null,
+        characterName: item.characterName || null
+      });
+      return;
+    }
+
+    sendSSEEvent(res, 'character_delta', {
+      index,
+      characterKey: item.characterKey || null,
+      characterName: item.characterName || null,
+      delta: text.slice(sent)
+    });
+  });
+}
+
+/**
+ * Build an onDelta handler that streams one character's text until it trips a guardrail
+ */
+function createGuardedDeltaEmitter(res, { index, characterKey, characterName }) {
+  let text = '';
+  let held = false;
+
+  return (delta) => {
+    if (held) {
+      return;
+    }
+
+    text += delta;
+    if (detectGuardrailViolations(text).length > 0) {
+      held = true;
+      sendSSEEvent(res, 'character_guardrail', { index, characterKey, characterName });
+      return;
+    }
+
+    sendSSEEvent(res, 'character_delta', { index, characterKey, characterName, delta });
+  };
+}
+
+/**
+ * Run the guardrails over the text fields of a reply before it is saved
+ * Returns the reply with repaired text and, when something changed, a `guardrail` record.
+ */
+async function reviewReply(reply, fields, speaker, usageContext) {
+  const results = await Promise.all(
+    fields.map(field => enforceGuardrails({
+      text: reply[field],
+      speaker,
+      usageContext: { ...usageContext, operation: 'guardrail' }
+    }))
+  );
+
+  const reviewed = { ...reply };
+  const interventions = [];
+  fields.forEach((field, index) => {
+    reviewed[field] = results[index].content;
+    if (results[index].guardrail) {
+      interventions.push({ field, ...results[index].guardrail });
+    }
+  });
+
+  if (interventions.length === 0) {
+    return reply;
+  }
+
+  reviewed.guardrail = {
+    action: interventions.some(item => item.action === 'redacted') ? 'redacted' : 'repaired',
+    fields: interventions.map(item => item.field),
+    violations: interventions.flatMap(item => item.violations),
+    checkedAt: interventions[0].checkedAt
+  };
+  return reviewed;
+}
+
+/**
+ * Review the steps of an action plan; a step that could only be redacted is dropped
+ */
+async function reviewActionSteps(steps = [], usageContext) {
+  const reviewed = await Promise.all(
+    steps.map(step => reviewReply(step, step.description ? ['title', 'description'] : ['title'], 'o conselho', usageContext))
+  );
+  return reviewed.filter(step => step.guardrail?.action !== 'redacted');
+}
+
+/**
+ * Generate follow-up topics for a council turn produced outside the council JSON envelope
+ */
+async function generateSuggestedTopics(userInput, turnMessages, usageContext) {
+  try {
+    const content = await generateStructuredContent({
+      messages: [{ role: 'user', content: buildSuggestedTopicsPrompt(userInput, turnMessages) }],
+      responseFormat: SUGGESTED_TOPICS_SCHEMA,
+      usageContext: { ...usageContext, operation: 'suggestions' }
+    });
+
+    const parsed = suggestedTopicsResponseSchema.parse(JSON.parse(content));
+    return parsed.suggested_topics.length > 0 ? parsed.suggested_topics : DEFAULT_COUNCIL_TOPICS;
+  } catch (error) {
+    logger.warn('Failed to generate suggested topics, using defaults:', error);
+    return DEFAULT_COUNCIL_TOPICS;
+  }
+}
+
+/**
+ * Run Council mode one participant at a time
+ * Each character gets its own persona prompt and sees what earlier speakers said
+ */
+export async function runSequentialCouncil({ session, userInput, characters, messageHistory, userContext, turn = null, stream = false, res = null }) {
+  // Character being generated, whose partial reply is kept if the turn is cancelled
+  let speaking = null;
+
+  try {
+    logger.info(`Running sequential council for session ${session.id} with ${characters.length} characters`);
+    const usageContext = buildUsageContext(session, turn, 'council');
+
+    if (stream && res) {
+      sendSSEEvent(res, 'council_start', { 
+        characters: characters.map(c => ({ key: c.key, name: c.name })),
+        generationMode: 'SEQUENTIAL'
+      });
+    }
+
+    const turnMessages = [];
+    const savedMessages = [];
+
+    for (const [index, character] of characters.entries()) {
+      const messages = buildSequentialCouncilMessages(
+        character,
+        characters,
+        messageHistory,
+        userInput,
+        userContext,
+        turnMessages
+      );
+
+      speaking = character;
+
+      if (stream && res) {
+        sendSSEEvent(res, 'character_thinking', {
+          index,
+          characterKey: character.key,
+          characterName: character.name
+        });
+      }
+
+      const content = await generateTextContent({
+        messages,
+        stream: Boolean(stream && res),
+        usageContext,
+        signal: turn?.signal,
+        onDelta: createGuardedDeltaEmitter(res, {
+          index,
+          characterKey: character.key,
+          characterName: character.name
+        })
+      });
+
+      if (!content?.trim()) {
+        throw new OpenAIError(`Empty response from AI for ${character.name}`);
+      }
+
+      const reply = await reviewReply({ content: content.trim() }, ['content'], character.name, usageContext);
+
+      const savedMessage = await prisma.message.create({
+        data: {
+          sessionId: session.id,
+          role: 'CHARACTER',
+          authorKey: character.key,
+          authorName: character.name,
+          content: reply.content,
+          meta: {
+            ...buildTurnMeta(turn),
+            mode: 'COUNCIL',
+            generationMode: 'SEQUENTIAL',
+            characterOrder: index,
+            ...(reply.guardrail && { guardrail: reply.guardrail })
+          }
+        }
+      });
+      savedMessages.push(savedMessage);
+      attributeUsage(usageContext, [savedMessage.id]);
+
+      const turnMessage = {
+        characterKey: character.key,
+        characterName: character.name,
+        content: savedMessage.content
+      };
+      turnMessages.push(turnMessage);
+
+      if (stream && res) {
+        sendSSEEvent(res, 'character_response', turnMessage);
+      }
+    }
+
+    const suggestedTopics = await generateSuggestedTopics(userInput, turnMessages, usageContext);
+
+    const topicsMessage = await prisma.message.create({
+      data: {
+        sessionId: session.id,
+        role: 'SYSTEM',
+        content: 'Suggested topics',
+        meta: {
+          ...buildTurnMeta(turn),
+          suggested_topics: suggestedTopics
+        }
+      }
+    });
+    attributeUsage(usageContext, [topicsMessage.id]);
+
+    if (stream && res) {
+      sendSSEEvent(res, 'council_complete', {
+        suggested_topics: suggestedTopics
+      });
+    }
+
+    logger.info(`Sequential council completed for session ${session.id}`);
+
+    return {
+      mode: 'COUNCIL',
+      messages: turnMessages,
+      suggested_topics: suggestedTopics,
+      savedMessages
+    };
+
+  } catch (error) {
+    logger.error('Error in runSequentialCouncil:', error);
+
+    // A cancelled turn is reported by whoever cancelled it, an unavailable AI by the resting message
+    if (stream && res && !turn?.signal?.aborted && !(error instanceof AIUnavailableError)) {
+      sendSSEError(res, error);
+    }
+
+    if (error instanceof CancelledError) {
+      if (speaking) {
+        await saveCancelledReplies(session, turn, 'COUNCIL', characters, [
+          { characterKey: speaking.key, content: error.partial, meta: { generationMode: 'SEQUENTIAL' } }
+        ]);
+      }
+      throw error;
+    }
+
+    if (error instanceof OpenAIError) {
+      throw error;
+    }
+
+    throw new AppError('Failed to process council session', 500);
+  }
+}
+
 /**
  * Run Council mode - characters respond in sequence
  */
-export async function runCouncil({ session, userInput, characters, messageHistory, userContext, stream = false, res = null }) {
+export async function runCouncil({ session, userInput, characters, messageHistory, userContext, turn = null, stream = false, res = null }) {
+  if (session.generationMode === 'SEQUENTIAL') {
+    return runSequentialCouncil({ session, userInput, characters, messageHistory, userContext, turn, stream, res });
+  }
+
   try {
     logger.info(`Running council mode for session ${session.id} with ${characters.length} characters`);
+    const usageContext = buildUsageContext(session, turn, 'council');
 
     // Build the council prompt
     const systemPrompt = buildCouncilPrompt(characters, messageHistory, userInput, userContext);
@@ -33,39 +603,54 @@ export async function runCouncil({ session, userInput, characters, messageHistor
       });
     }
 
-    // Generate structured response from OpenAI
-    const completion = await createStructuredResponse({
+    // Generate structured response, pushing each character's text as it is generated
+    const sentLengths = [];
+    const heldBack = new Set();
+    const content = await generateStructuredContent({
       messages,
       responseFormat: COUNCIL_RESPONSE_SCHEMA,
-      stream: false // Note: structured responses don't support streaming yet
+      stream: Boolean(stream && res),
+      usageContext,
+      signal: turn?.signal,
+      onPartial: (partial) => emitCharacterDeltas(res, partial.messages, 'content', sentLengths, heldBack)
     });
 
-    let responseData;
-    try {
-      const content = completion.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('Empty response from OpenAI');
-      }
+    // Repair or regenerate malformed output; retries are not streamed
+    const responseData = await recoverStructuredOutput({
+      content,
+      schema: councilResponseSchema,
+      operation: 'council',
+      prepare: (raw) => withDefaultTopics(raw, DEFAULT_COUNCIL_TOPICS),
+      regenerate: (feedback) => generateStructuredContent({
+        messages: [...messages, ...feedback],
+        responseFormat: COUNCIL_RESPONSE_SCHEMA,
+        usageContext,
+        signal: turn?.signal
+      }),
+      salvage: (raw) => salvageCharacterItems(raw, councilResponseSchema, {
+        mode: 'COUNCIL',
+        listField: 'messages',
+        textField: 'content'
+      })
+    });
 
-      responseData = JSON.parse(content);
-      
-      // Ensure suggested_topics is always present
-      if (!responseData.suggested_topics || !Array.isArray(responseData.suggested_topics)) {
-        responseData.suggested_topics = [
-          "Desenvolvimento pessoal",
-          "Relacionamentos familiares",
-          "Propósito de vida"
-        ];
-      }
-      
-      // Validate with Zod
-      const validatedResponse = councilResponseSchema.parse(responseData);
-      responseData = validatedResponse;
+    responseData.messages = await completeMissingCharacters({
+      operation: 'council',
+      characters,
+      replies: responseData.messages,
+      field: 'content',
+      messageHistory,
+      userInput,
+      userContext,
+      usageContext,
+      signal: turn?.signal,
+      res: stream ? res : null
+    });
 
-    } catch (parseError) {
-      logger.error('Failed to parse OpenAI response:', parseError);
-      throw new OpenAIError('Failed to get structured response from AI');
-    }
+    // Check what the characters said before saving it
+    responseData.messages = await Promise.all(
+      responseData.messages.map(msg => reviewReply(msg, ['content'], msg.characterName, usageContext))
+    );
 
     // Save character messages to database
     const savedMessages = [];
@@ -80,8 +665,10 @@ export async function runCouncil({ session, userInput, characters, messageHistor
             authorName: character.name,
             content: msg.content,
             meta: {
+              ...buildTurnMeta(turn),
               mode: 'COUNCIL',
-              characterOrder: characters.findIndex(c => c.key === character.key)
+              characterOrder: characters.findIndex(c => c.key === character.key),
+              ...(msg.guardrail && { guardrail: msg.guardrail })
             }
           }
         });
@@ -98,18 +685,21 @@ export async function runCouncil({ session, userInput, characters, messageHistor
     }
 
     // Save suggested topics if any
+    let topicsMessage = null;
     if (responseData.suggested_topics?.length > 0) {
-      await prisma.message.create({
+      topicsMessage = await prisma.message.create({
         data: {
           sessionId: session.id,
           role: 'SYSTEM',
           content: 'Suggested topics',
           meta: {
+            ...buildTurnMeta(turn),
             suggested_topics: responseData.suggested_topics
           }
         }
       });
     }
+    attributeUsage(usageContext, [...savedMessages.map(msg => msg.id), topicsMessage?.id]);
 
     if (stream && res) {
       sendSSEEvent(res, 'council_complete', {
@@ -129,9 +719,19 @@ export async function runCouncil({ session, userInput, characters, messageHistor
   } catch (error) {
     logger.error('Error in runCouncil:', error);
     
-    if (stream && res) {
+    // A cancelled turn is reported by whoever cancelled it, an unavailable AI by the resting message
+    if (stream && res && !turn?.signal?.aborted && !(error instanceof AIUnavailableError)) {
       sendSSEError(res, error);
     }
+
+    if (error instanceof CancelledError) {
+      const replies = (error.partial?.messages || []).map(msg => ({
+        characterKey: msg?.characterKey,
+        content: msg?.content
+      }));
+      await saveCancelledReplies(session, turn, 'COUNCIL', characters, replies);
+      throw error;
+    }
     
     if (error instanceof OpenAIError) {
       throw error;
@@ -144,9 +744,10 @@ export async function runCouncil({ session, userInput, characters, messageHistor
 /**
  * Run Decision mode - characters provide analysis, then collaborative decision
  */
-export async function runDecision({ session, userInput, characters, messageHistory, userContext, stream = false, res = null }) {
+export async function runDecision({ session, userInput, characters, messageHistory, userContext, turn = null, stream = false, res = null }) {
   try {
     logger.info(`Running decision mode for session ${session.id} with ${characters.length} characters`);
+    const usageContext = buildUsageContext(session, turn, 'decision');
 
     // Build the decision prompt
     const systemPrompt = buildDecisionPrompt(characters, messageHistory, userInput, userContext);
@@ -158,39 +759,77 @@ export async function runDecision({ session, userInput, characters, messageHisto
       });
     }
 
-    // Generate structured response from OpenAI
-    const completion = await createStructuredResponse({
+    // Generate structured response, pushing analyses and the decision as they are generated
+    const sentLengths = [];
+    const heldBack = new Set();
+    let sentDecisionLength = 0;
+    let decisionHeld = false;
+    const content = await generateStructuredContent({
       messages,
       responseFormat: DECISION_RESPONSE_SCHEMA,
-      stream: false // Note: structured responses don't support streaming yet
-    });
+      stream: Boolean(stream && res),
+      usageContext,
+      signal: turn?.signal,
+      onPartial: (partial) => {
+        emitCharacterDeltas(res, partial.analyses, 'summary', sentLengths, heldBack);
 
-    let responseData;
-    try {
-      const content = completion.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('Empty response from OpenAI');
-      }
+        const decisionText = partial.final_decision?.content;
+        if (!decisionHeld && typeof decisionText === 'string' && decisionText.length > sentDecisionLength) {
+          if (detectGuardrailViolations(decisionText).length > 0) {
+            decisionHeld = true;
+            sendSSEEvent(res, 'final_decision_guardrail', {});
+            return;
+          }
 
-      responseData = JSON.parse(content);
-      
-      // Ensure suggested_topics is always present
-      if (!responseData.suggested_topics || !Array.isArray(responseData.suggested_topics)) {
-        responseData.suggested_topics = [
-          "Próximos passos práticos",
-          "Reflexões sobre a decisão",
-          "Implementação das mudanças"
-        ];
+          sendSSEEvent(res, 'final_decision_delta', {
+            delta: decisionText.slice(sentDecisionLength)
+          });
+          sentDecisionLength = decisionText.length;
+        }
       }
-      
-      // Validate with Zod
-      const validatedResponse = decisionResponseSchema.parse(responseData);
-      responseData = validatedResponse;
+    });
 
-    } catch (parseError) {
-      logger.error('Failed to parse OpenAI response:', parseError);
-      throw new OpenAIError('Failed to get structured response from AI');
-    }
+    // Repair or regenerate malformed output; retries are not streamed
+    const responseData = await recoverStructuredOutput({
+      content,
+      schema: decisionResponseSchema,
+      operation: 'decision',
+      prepare: (raw) => withDefaultTopics(raw, DEFAULT_DECISION_TOPICS),
+      regenerate: (feedback) => generateStructuredContent({
+        messages: [...messages, ...feedback],
+        responseFormat: DECISION_RESPONSE_SCHEMA,
+        usageContext,
+        signal: turn?.signal
+      }),
+      // Analyses can be salvaged, the decision itself cannot
+      salvage: (raw) => salvageCharacterItems(raw, decisionResponseSchema, {
+        mode: 'DECISION',
+        listField: 'analyses',
+        textField: 'summary'
+      })
+    });
+
+    responseData.analyses = await completeMissingCharacters({
+      operation: 'decision',
+      characters,
+      replies: responseData.analyses,
+      field: 'summary',
+      messageHistory,
+      userInput,
+      userContext,
+      usageContext,
+      signal: turn?.signal,
+      res: stream ? res : null
+    });
+
+    // Check the analyses, the decision and its action steps before saving them
+    const [reviewedAnalyses, reviewedDecision, reviewedSteps] = await Promise.all([
+      Promise.all(responseData.analyses.map(analysis => reviewReply(analysis, ['summary'], analysis.characterName, usageContext))),
+      reviewReply(responseData.final_decision, ['content', 'rationale'], 'o conselho', usageContext),
+      reviewActionSteps(responseData.final_decision.action_steps, usageContext)
+    ]);
+    responseData.analyses = reviewedAnalyses;
+    responseData.final_decision = { ...reviewedDecision, action_steps: reviewedSteps };
 
     // Save character analyses to database
     const savedAnalyses = [];
@@ -205,9 +844,11 @@ export async function runDecision({ session, userInput, characters, messageHisto
             authorName: character.name,
             content: analysis.summary,
             meta: {
+              ...buildTurnMeta(turn),
               mode: 'DECISION',
               messageType: 'analysis',
-              characterOrder: characters.findIndex(c => c.key === character.key)
+              characterOrder: characters.findIndex(c => c.key === character.key),
+              ...(analysis.guardrail && { guardrail: analysis.guardrail })
             }
           }
         });
@@ -231,36 +872,60 @@ export async function runDecision({ session, userInput, characters, messageHisto
         authorName: 'Conselho',
         content: responseData.final_decision.content,
         meta: {
+          ...buildTurnMeta(turn),
           mode: 'DECISION',
           messageType: 'final_decision',
           title: responseData.final_decision.title,
           rationale: responseData.final_decision.rationale,
-          suggested_topics: responseData.suggested_topics || []
+          action_steps: responseData.final_decision.action_steps,
+          suggested_topics: responseData.suggested_topics || [],
+          ...(responseData.final_decision.guardrail && { guardrail: responseData.final_decision.guardrail })
         }
       }
     });
 
+    // Track the action plan so the user can mark steps done and get check-ins
+    const actionSteps = await createActionSteps({
+      userId: session.userId,
+      sessionId: session.id,
+      decisionMessageId: finalDecisionMessage.id,
+      userMessageId: turn?.userMessageId || null,
+      variant: turn?.variant || 1,
+      steps: responseData.final_decision.action_steps
+    });
+
+    await rememberDecision({
+      userId: session.userId,
+      sessionId: session.id,
+      messageId: finalDecisionMessage.id,
+      decision: responseData.final_decision
+    });
+
     if (stream && res) {
       sendSSEEvent(res, 'final_decision', {
         title: responseData.final_decision.title,
         content: responseData.final_decision.content,
-        rationale: responseData.final_decision.rationale
+        rationale: responseData.final_decision.rationale,
+        action_steps: actionSteps
       });
     }
 
     // Save suggested topics if any
+    let topicsMessage = null;
     if (responseData.suggested_topics?.length > 0) {
-      await prisma.message.create({
+      topicsMessage = await prisma.message.create({
         data: {
           sessionId: session.id,
           role: 'SYSTEM',
           content: 'Suggested topics',
           meta: {
+            ...buildTurnMeta(turn),
             suggested_topics: responseData.suggested_topics
           }
         }
       });
     }
+    attributeUsage(usageContext, [...savedAnalyses.map(msg => msg.id), finalDecisionMessage.id, topicsMessage?.id]);
 
     if (stream && res) {
       sendSSEEvent(res, 'decision_complete', {
@@ -276,15 +941,28 @@ export async function runDecision({ session, userInput, characters, messageHisto
       final_decision: responseData.final_decision,
       suggested_topics: responseData.suggested_topics || [],
       savedAnalyses,
-      savedDecision: finalDecisionMessage
+      savedDecision: finalDecisionMessage,
+      actionSteps
     };
 
   } catch (error) {
     logger.error('Error in runDecision:', error);
     
-    if (stream && res) {
+    // A cancelled turn is reported by whoever cancelled it, an unavailable AI by the resting message
+    if (stream && res && !turn?.signal?.aborted && !(error instanceof AIUnavailableError)) {
       sendSSEError(res, error);
     }
+
+    // The decision itself is only saved complete, with its action plan
+    if (error instanceof CancelledError) {
+      const replies = (error.partial?.analyses || []).map(analysis => ({
+        characterKey: analysis?.characterKey,
+        content: analysis?.summary,
+        meta: { messageType: 'analysis' }
+      }));
+      await saveCancelledReplies(session, turn, 'DECISION', characters, replies);
+      throw error;
+    }
     
     if (error instanceof OpenAIError) {
       throw error;
@@ -294,10 +972,448 @@ export async function runDecision({ session, userInput, characters, messageHisto
   }
 }
 
+/**
+ * Generate follow-up suggestions in the voice of the mentor character
+ */
+async function generateMentorSuggestions(character, userInput, reply, usageContext) {
+  try {
+    const content = await generateStructuredContent({
+      messages: [{ role: 'user', content: buildMentorSuggestionsPrompt(character, userInput, reply) }],
+      responseFormat: SUGGESTED_TOPICS_SCHEMA,
+      usageContext: { ...usageContext, operation: 'suggestions' }
+    });
+
+    const parsed = suggestedTopicsResponseSchema.parse(JSON.parse(content));
+    return parsed.suggested_topics.length > 0 ? parsed.suggested_topics : DEFAULT_MENTOR_TOPICS;
+  } catch (error) {
+    logger.warn('Failed to generate mentor suggestions, using defaults:', error);
+    return DEFAULT_MENTOR_TOPICS;
+  }
+}
+
+/**
+ * Run Mentor mode - a one-on-one conversation with a single character in plain text
+ */
+export async function runMentor({ session, userInput, characters, messageHistory, userContext, turn = null, stream = false, res = null }) {
+  try {
+    const [character] = characters;
+    if (!character) {
+      throw new AppError('A mentoring session needs a character', 400);
+    }
+
+    logger.info(`Running mentor mode for session ${session.id} with ${character.key}`);
+    const usageContext = buildUsageContext(session, turn, 'mentor');
+
+    if (stream && res) {
+      sendSSEEvent(res, 'mentor_start', {
+        character: { key: character.key, name: character.name }
+      });
+      sendSSEEvent(res, 'character_thinking', {
+        index: 0,
+        characterKey: character.key,
+        characterName: character.name
+      });
+    }
+
+    const content = await generateTextContent({
+      messages: buildMentorMessages(character, messageHistory, userInput, userContext),
+      stream: Boolean(stream && res),
+      usageContext,
+      signal: turn?.signal,
+      onDelta: createGuardedDeltaEmitter(res, {
+        index: 0,
+        characterKey: character.key,
+        characterName: character.name
+      })
+    });
+
+    if (!content?.trim()) {
+      throw new OpenAIError(`Empty response from AI for ${character.name}`);
+    }
+
+    const reply = await reviewReply({ content: content.trim() }, ['content'], character.name, usageContext);
+
+    const savedMessage = await prisma.message.create({
+      data: {
+        sessionId: session.id,
+        role: 'CHARACTER',
+        authorKey: character.key,
+        authorName: character.name,
+        content: reply.content,
+        meta: {
+          ...buildTurnMeta(turn),
+          mode: 'MENTOR',
+          characterOrder: 0,
+          ...(reply.guardrail && { guardrail: reply.guardrail })
+        }
+      }
+    });
+    attributeUsage(usageContext, [savedMessage.id]);
+
+    const message = {
+      characterKey: character.key,
+      characterName: character.name,
+      content: savedMessage.content
+    };
+
+    if (stream && res) {
+      sendSSEEvent(res, 'character_response', message);
+    }
+
+    const suggestedTopics = await generateMentorSuggestions(character, userInput, savedMessage.content, usageContext);
+
+    const topicsMessage = await prisma.message.create({
+      data: {
+        sessionId: session.id,
+        role: 'SYSTEM',
+        content: 'Suggested topics',
+        meta: {
+          ...buildTurnMeta(turn),
+          suggested_topics: suggestedTopics
+        }
+      }
+    });
+    attributeUsage(usageContext, [topicsMessage.id]);
+
+    if (stream && res) {
+      sendSSEEvent(res, 'mentor_complete', {
+        suggested_topics: suggestedTopics
+      });
+    }
+
+    logger.info(`Mentor mode completed for session ${session.id}`);
+
+    return {
+      mode: 'MENTOR',
+      message,
+      suggested_topics: suggestedTopics,
+      savedMessage
+    };
+
+  } catch (error) {
+    logger.error('Error in runMentor:', error);
+
+    // A cancelled turn is reported by whoever cancelled it, an unavailable AI by the resting message
+    if (stream && res && !turn?.signal?.aborted && !(error instanceof AIUnavailableError)) {
+      sendSSEError(res, error);
+    }
+
+    if (error instanceof CancelledError) {
+      await saveCancelledReplies(session, turn, 'MENTOR', characters.slice(0, 1), [
+        { characterKey: characters[0]?.key, content: error.partial }
+      ]);
+      throw error;
+    }
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    throw new AppError('Failed to process mentor session', 500);
+  }
+}
+
+/**
+ * Emit the unsent tail of every debate argument as a debate_argument_delta SSE event
+ * `sentLengths` maps "round:index" to how much of each argument was already pushed;
+ * arguments that trip a guardrail stop streaming and are only sent again once repaired
+ */
+function emitDebateDeltas(res, rounds, sentLengths, heldBack) {
+  if (!Array.isArray(rounds)) {
+    return;
+  }
+
+  rounds.forEach((round, roundIndex) => {
+    if (!Array.isArray(round?.arguments)) {
+      return;
+    }
+
+    round.arguments.forEach((argument, index) => {
+      const text = argument?.content;
+      if (typeof text !== 'string') {
+        return;
+      }
+
+      const key = `${roundIndex}:${index}`;
+      const sent = sentLengths.get(key) || 0;
+      if (text.length <= sent || heldBack.has(key)) {
+        return;
+      }
+      sentLengths.set(key, text.length);
+
+      if (detectGuardrailViolations(text).length > 0) {
+        heldBack.add(key);
+        sendSSEEvent(res, 'debate_argument_guardrail', {
+          round: roundIndex + 1,
+          index,
+          characterKey: argument.characterKey || null,
+          characterName: argument.characterName || null
+        });
+        return;
+      }
+
+      sendSSEEvent(res, 'debate_argument_delta', {
+        round: roundIndex + 1,
+        index,
+        characterKey: argument.characterKey || null,
+        characterName: argument.characterName || null,
+        delta: text.slice(sent)
+      });
+    });
+  });
+}
+
+/**
+ * Run Debate mode - characters take positions and rebut each other over several rounds,
+ * then a moderator synthesis is saved as a SUMMARY message
+ */
+export async function runDebate({ session, userInput, characters, messageHistory, userContext, turn = null, stream = false, res = null }) {
+  try {
+    const roundCount = session.debateRounds || DEFAULT_DEBATE_ROUNDS;
+
+    logger.info(`Running debate mode for session ${session.id} with ${characters.length} characters and ${roundCount} rounds`);
+    const usageContext = buildUsageContext(session, turn, 'debate');
+
+    if (characters.length < 2) {
+      throw new AppError('A debate needs at least 2 characters', 400);
+    }
+
+    // Build the debate prompt
+    const systemPrompt = buildDebatePrompt(characters, messageHistory, userInput, userContext, roundCount);
+    const messages = buildOpenAIMessages(systemPrompt, userInput);
+
+    if (stream && res) {
+      sendSSEEvent(res, 'debate_start', { 
+        characters: characters.map(c => ({ key: c.key, name: c.name })),
+        rounds: roundCount
+      });
+    }
+
+    // Every character speaks once per round, plus positions and the synthesis
+    const maxTokens = Math.max(
+      parseInt(process.env.OPENAI_MAX_TOKENS) || 1200,
+      characters.length * roundCount * DEBATE_TOKENS_PER_ARGUMENT + 800
+    );
+
+    // Generate structured response, pushing arguments and the synthesis as they are generated
+    const sentLengths = new Map();
+    const heldBack = new Set();
+    let sentSynthesisLength = 0;
+    let synthesisHeld = false;
+    const content = await generateStructuredContent({
+      messages,
+      responseFormat: DEBATE_RESPONSE_SCHEMA,
+      stream: Boolean(stream && res),
+      usageContext,
+      signal: turn?.signal,
+      maxTokens,
+      onPartial: (partial) => {
+        emitDebateDeltas(res, partial.rounds?.slice(0, roundCount), sentLengths, heldBack);
+
+        const synthesisText = partial.synthesis?.content;
+        if (!synthesisHeld && typeof synthesisText === 'string' && synthesisText.length > sentSynthesisLength) {
+          if (detectGuardrailViolations(synthesisText).length > 0) {
+            synthesisHeld = true;
+            sendSSEEvent(res, 'debate_synthesis_guardrail', {});
+            return;
+          }
+
+          sendSSEEvent(res, 'debate_synthesis_delta', {
+            delta: synthesisText.slice(sentSynthesisLength)
+          });
+          sentSynthesisLength = synthesisText.length;
+        }
+      }
+    });
+
+    // Repair or regenerate malformed output; arguments answer each other, so nothing is salvaged
+    const responseData = await recoverStructuredOutput({
+      content,
+      schema: debateResponseSchema,
+      operation: 'debate',
+      prepare: (raw) => withDefaultTopics(raw, DEFAULT_DEBATE_TOPICS),
+      regenerate: (feedback) => generateStructuredContent({
+        messages: [...messages, ...feedback],
+        responseFormat: DEBATE_RESPONSE_SCHEMA,
+        maxTokens,
+        usageContext,
+        signal: turn?.signal
+      })
+    });
+
+    const stances = new Map(responseData.positions.map(p => [p.characterKey, p.stance]));
+
+    // Check every argument and the synthesis before saving them
+    const [rounds, synthesis] = await Promise.all([
+      Promise.all(responseData.rounds.slice(0, roundCount).map(async (round) => ({
+        ...round,
+        arguments: await Promise.all(
+          round.arguments.map(argument => reviewReply(argument, ['content'], argument.characterName, usageContext))
+        )
+      }))),
+      reviewReply(responseData.synthesis, ['content'], 'o moderador', usageContext)
+    ]);
+    responseData.synthesis = synthesis;
+
+    if (stream && res) {
+      sendSSEEvent(res, 'debate_positions', {
+        positions: responseData.positions.filter(p => characters.some(c => c.key === p.characterKey))
+      });
+    }
+
+    // Save every argument in order; rounds are numbered by position, not by the model
+    const savedMessages = [];
+    for (const [roundIndex, round] of rounds.entries()) {
+      const roundNumber = roundIndex + 1;
+
+      if (stream && res) {
+        sendSSEEvent(res, 'debate_round', { round: roundNumber, totalRounds: rounds.length });
+      }
+
+      for (const argument of round.arguments) {
+        const character = characters.find(c => c.key === argument.characterKey);
+        if (!character) {
+          continue;
+        }
+
+        const respondsTo = characters.some(c => c.key === argument.respondsTo && c.key !== character.key)
+          ? argument.respondsTo
+          : null;
+
+        const savedMessage = await prisma.message.create({
+          data: {
+            sessionId: session.id,
+            role: 'CHARACTER',
+            authorKey: character.key,
+            authorName: character.name,
+            content: argument.content,
+            meta: {
+              ...buildTurnMeta(turn),
+              mode: 'DEBATE',
+              messageType: 'debate_argument',
+              round: roundNumber,
+              stance: stances.get(character.key) || null,
+              respondsTo,
+              characterOrder: characters.findIndex(c => c.key === character.key),
+              ...(argument.guardrail && { guardrail: argument.guardrail })
+            }
+          }
+        });
+        savedMessages.push(savedMessage);
+
+        if (stream && res) {
+          sendSSEEvent(res, 'debate_argument', {
+            round: roundNumber,
+            characterKey: character.key,
+            characterName: character.name,
+            stance: stances.get(character.key) || null,
+            respondsTo,
+            content: argument.content
+          });
+        }
+      }
+    }
+
+    // Save closing synthesis
+    const synthesisMessage = await prisma.message.create({
+      data: {
+        sessionId: session.id,
+        role: 'SUMMARY',
+        authorName: 'Moderador',
+        content: responseData.synthesis.content,
+        meta: {
+          ...buildTurnMeta(turn),
+          mode: 'DEBATE',
+          messageType: 'debate_synthesis',
+          title: responseData.synthesis.title,
+          agreements: responseData.synthesis.agreements,
+          open_questions: responseData.synthesis.open_questions,
+          positions: responseData.positions,
+          rounds: rounds.length,
+          suggested_topics: responseData.suggested_topics || [],
+          ...(synthesis.guardrail && { guardrail: synthesis.guardrail })
+        }
+      }
+    });
+
+    if (stream && res) {
+      sendSSEEvent(res, 'debate_synthesis', {
+        title: responseData.synthesis.title,
+        content: responseData.synthesis.content,
+        agreements: responseData.synthesis.agreements,
+        open_questions: responseData.synthesis.open_questions
+      });
+    }
+
+    // Save suggested topics if any
+    let topicsMessage = null;
+    if (responseData.suggested_topics?.length > 0) {
+      topicsMessage = await prisma.message.create({
+        data: {
+          sessionId: session.id,
+          role: 'SYSTEM',
+          content: 'Suggested topics',
+          meta: {
+            ...buildTurnMeta(turn),
+            suggested_topics: responseData.suggested_topics
+          }
+        }
+      });
+    }
+    attributeUsage(usageContext, [...savedMessages.map(msg => msg.id), synthesisMessage.id, topicsMessage?.id]);
+
+    if (stream && res) {
+      sendSSEEvent(res, 'debate_complete', {
+        suggested_topics: responseData.suggested_topics || []
+      });
+    }
+
+    logger.info(`Debate mode completed for session ${session.id}`);
+
+    return {
+      mode: 'DEBATE',
+      positions: responseData.positions,
+      rounds,
+      synthesis: responseData.synthesis,
+      suggested_topics: responseData.suggested_topics || [],
+      savedMessages,
+      savedSynthesis: synthesisMessage
+    };
+
+  } catch (error) {
+    logger.error('Error in runDebate:', error);
+    
+    // A cancelled turn is reported by whoever cancelled it, an unavailable AI by the resting message
+    if (stream && res && !turn?.signal?.aborted && !(error instanceof AIUnavailableError)) {
+      sendSSEError(res, error);
+    }
+
+    if (error instanceof CancelledError) {
+      const roundCount = session.debateRounds || DEFAULT_DEBATE_ROUNDS;
+      const replies = (error.partial?.rounds || []).slice(0, roundCount).flatMap((round, roundIndex) =>
+        (round?.arguments || []).map(argument => ({
+          characterKey: argument?.characterKey,
+          content: argument?.content,
+          meta: { messageType: 'debate_argument', round: roundIndex + 1 }
+        }))
+      );
+      await saveCancelledReplies(session, turn, 'DEBATE', characters, replies);
+      throw error;
+    }
+    
+    if (error instanceof AppError) {
+      throw error;
+    }
+    
+    throw new AppError('Failed to process debate session', 500);
+  }
+}
+
 /**
  * Main orchestrator function that routes to appropriate mode
+ * `signal` aborts the model calls of the turn when the user cancels it.
  */
-export async function orchestrateChat({ session, userInput, stream = false, res = null }) {
+export async function orchestrateChat({ session, userInput, userMessageId = null, variant = 1, targets = null, stream = false, res = null, signal = null }) {
   try {
     // Get session with participants and user data
     const fullSession = await prisma.chatSession.findUnique({
@@ -313,10 +1429,6 @@ export async function orchestrateChat({ session, userInput, stream = false, res
           include: {
             questionnaire: true
           }
-        },
-        messages: {
-          orderBy: { createdAt: 'asc' },
-          take: 20 // Get recent message history
         }
       }
     });
@@ -325,37 +1437,150 @@ export async function orchestrateChat({ session, userInput, stream = false, res
       throw new AppError('Session not found', 404);
     }
 
-    const characters = fullSession.participants.map(p => p.character);
-    const userContext = await buildUserContext(fullSession.user);
-    const messageHistory = fullSession.messages;
+    // Only the addressed characters answer when the user targeted some of them
+    const participants = fullSession.participants.map(p => p.character);
+    const characters = targets?.length > 0
+      ? participants.filter(c => targets.includes(c.key))
+      : participants;
 
-    // Route to appropriate mode
-    if (session.mode === 'COUNCIL') {
-      return await runCouncil({
-        session,
-        userInput,
-        characters,
-        messageHistory,
-        userContext,
-        stream,
-        res
-      });
-    } else if (session.mode === 'DECISION') {
-      return await runDecision({
+    if (characters.length === 0) {
+      throw new AppError('None of the addressed characters takes part in this session', 400);
+    }
+
+    const userContext = await buildUserContext(fullSession.user, { query: userInput });
+
+    // Latest summary plus recent turns; the current question is sent separately
+    const messageHistory = await buildPromptHistory(session.id, {
+      excludeMessageIds: userMessageId ? [userMessageId] : []
+    });
+
+    const turn = { userMessageId, variant, signal };
+    let result;
+    try {
+      result = await runMode({
         session,
         userInput,
         characters,
         messageHistory,
         userContext,
+        turn,
         stream,
         res
       });
-    } else {
-      throw new AppError('Invalid session mode', 400);
+    } catch (error) {
+      if (!(error instanceof AIUnavailableError)) {
+        throw error;
+      }
+      return await respondWhileUnavailable({ session, turn, stream, res });
     }
 
+    // Fold older turns into a rolling summary and remember what the user shared, without delaying the reply
+    maybeSummarizeSession(session.id, fullSession.userId);
+    extractMemoriesFromText({
+      userId: fullSession.userId,
+      text: userInput,
+      source: 'chat',
+      sourceId: userMessageId,
+      sessionId: session.id
+    });
+
+    return result;
+
   } catch (error) {
     logger.error('Error in orchestrateChat:', error);
     throw error;
   }
 }
+
+/**
+ * Save and send a resting message when no model can answer, so the turn still ends with a reply
+ */
+async function respondWhileUnavailable({ session, turn, stream, res }) {
+  logger.warn(`AI unavailable; answering session ${session.id} with the resting message`);
+
+  const message = await prisma.message.create({
+    data: {
+      sessionId: session.id,
+      role: 'NARRATOR',
+      authorName: 'Conselho',
+      content: AI_UNAVAILABLE_RESPONSE,
+      meta: {
+        ...buildTurnMeta(turn),
+        mode: session.mode,
+        messageType: 'ai_unavailable',
+        degraded: true
+      }
+    }
+  });
+
+  if (stream && res) {
+    sendSSEEvent(res, 'degraded_response', {
+      content: message.content,
+      reason: 'ai_unavailable'
+    });
+  }
+
+  return {
+    mode: session.mode,
+    degraded: true,
+    message: {
+      authorName: message.authorName,
+      content: message.content
+    },
+    suggested_topics: [],
+    savedMessage: message
+  };
+}
+
+/**
+ * Route a turn to the runner of the session mode
+ */
+async function runMode({ session, userInput, characters, messageHistory, userContext, turn, stream, res }) {
+  if (session.mode === 'COUNCIL') {
+    return await runCouncil({
+      session,
+      userInput,
+      characters,
+      messageHistory,
+      userContext,
+      turn,
+      stream,
+      res
+    });
+  } else if (session.mode === 'DECISION') {
+    return await runDecision({
+      session,
+      userInput,
+      characters,
+      messageHistory,
+      userContext,
+      turn,
+      stream,
+      res
+    });
+  } else if (session.mode === 'MENTOR') {
+    return await runMentor({
+      session,
+      userInput,
+      characters,
+      messageHistory,
+      userContext,
+      turn,
+      stream,
+      res
+    });
+  } else if (session.mode === 'DEBATE') {
+    return await runDebate({
+      session,
+      userInput,
+      characters,
+      messageHistory,
+      userContext,
+      turn,
+      stream,
+      res
+    });
+  } else {
+    throw new AppError('Invalid session mode', 400);
+  }
+}
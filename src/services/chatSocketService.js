@@ -0,0 +1,444 @@
+/**
+ * Chat Socket Service
+ * WebSocket channel per chat session at /api/chat/sessions/:id/ws. Clients authenticate with
+ * the same JWT as the HTTP API (Authorization header, or an `auth` first message for browsers),
+ * send messages, typing indicators and cancel requests, and receive the same events as the
+ * SSE stream ({ type, data, timestamp }).
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import { getBearerToken, resolveTokenUser } from '../middlewares/auth.js';
+import { orchestrateChat } from './chatOrchestrator.js';
+import { screenUserMessage } from './userMessageService.js';
+import { assessMessageSafety, respondToCrisis, SAFETY_HELPLINES } from './safetyService.js';
+import { consumeMessageQuota, refundMessageQuota } from './quotaService.js';
+import { consumeMessageRateLimit } from '../middlewares/rateLimiting.js';
+import { sendSSEEvent, sendSSEError } from '../utils/sse.js';
+import {
+  registerActiveTurn,
+  releaseActiveTurn,
+  hasActiveTurn,
+  cancelSessionTurns,
+  DISCONNECT_GRACE_MS
+} from './activeTurnService.js';
+import { AppError, ValidationError, NotFoundError, UnauthorizedError, ConflictError, RateLimitError, CancelledError } from '../utils/errors.js';
+import { sendMessageSchema } from '../utils/zodValidation.js';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const SOCKET_PATH = /^\/api\/chat\/sessions\/([^/]+)\/ws$/;
+// Dead connections are dropped when they miss a ping
+const PING_INTERVAL_MS = 30000;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+// Sockets opened without an Authorization header must send `auth` within this time
+const AUTH_TIMEOUT_MS = 10000;
+// Close codes for failed first-message authentication, mirroring the HTTP statuses
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_NOT_FOUND = 4404;
+
+let socketServer = null;
+let pingTimer = null;
+
+// sessionId -> open sockets of that session
+const rooms = new Map();
+
+function rejectUpgrade(socket, statusCode, reason) {
+  socket.write(`HTTP/1.1 ${statusCode} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Event target that delivers to one socket, for sendSSEEvent
+ */
+function socketTarget(ws) {
+  return {
+    pushEvent: (payload) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(payload));
+      }
+    }
+  };
+}
+
+/**
+ * Event target that delivers to every socket of a session, optionally skipping one
+ */
+function roomTarget(sessionId, except = null) {
+  return {
+    pushEvent: (payload) => {
+      const data = JSON.stringify(payload);
+      for (const client of rooms.get(sessionId) || []) {
+        if (client !== except && client.readyState === WebSocket.OPEN) {
+          client.send(data);
+        }
+      }
+    }
+  };
+}
+
+function joinRoom(sessionId, ws) {
+  if (!rooms.has(sessionId)) {
+    rooms.set(sessionId, new Set());
+  }
+  rooms.get(sessionId).add(ws);
+}
+
+function leaveRoom(sessionId, ws) {
+  const room = rooms.get(sessionId);
+  room?.delete(ws);
+  if (room?.size === 0) {
+    rooms.delete(sessionId);
+  }
+}
+
+/**
+ * Resolve the API JWT and check the session belongs to the user
+ * Tokens are never read from the URL, where proxies and access logs would keep them.
+ */
+async function authenticateSession(token, sessionId) {
+  if (!token) {
+    throw new UnauthorizedError('Token de acesso é obrigatório');
+  }
+
+  let user;
+  try {
+    user = await resolveTokenUser(token);
+  } catch (error) {
+    throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido');
+  }
+
+  if (!user) {
+    throw new UnauthorizedError('Usuário não encontrado');
+  }
+
+  const session = await prisma.chatSession.findFirst({
+    where: { id: sessionId, userId: user.id }
+  });
+
+  if (!session) {
+    throw new NotFoundError('Chat session');
+  }
+
+  return { user, session };
+}
+
+/**
+ * Run a turn for a message sent over the socket, broadcasting its events to the session
+ */
+async function handleUserMessage(ws, user, sessionId, payload) {
+  // Same per-minute limit as POST /message
+  const { allowed: withinRateLimit, retryAfter } = await consumeMessageRateLimit(user.id);
+  if (!withinRateLimit) {
+    throw new RateLimitError(`Too many messages, please slow down. Try again in ${retryAfter}s.`);
+  }
+
+  const parsed = sendMessageSchema.safeParse(payload);
+  if (!parsed.success) {
+    throw new ValidationError('Validation error', parsed.error.errors.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    })));
+  }
+  const { content, targets } = parsed.data;
+
+  if (hasActiveTurn(sessionId)) {
+    throw new ConflictError('A reply is already being generated in this session');
+  }
+
+  // Claimed before anything is awaited so a second message sent meanwhile gets the conflict
+  const activeTurn = registerActiveTurn(sessionId, { userId: user.id, transport: 'websocket' });
+  const room = roomTarget(sessionId);
+  let quotaDay = null;
+  let answered = false;
+
+  try {
+    const session = await prisma.chatSession.findFirst({
+      where: { id: sessionId, userId: user.id, closed: false }
+    });
+
+    if (!session) {
+      throw new NotFoundError('Open chat session');
+    }
+
+    const { allowed, day, quota } = await consumeMessageQuota(user.id, user.plan);
+    sendSSEEvent(socketTarget(ws), 'quota', quota);
+    if (allowed) {
+      quotaDay = day;
+    }
+
+    // A crisis message always reaches the safety response, whatever the quota
+    if (!allowed && !assessMessageSafety(content).crisis) {
+      throw new RateLimitError('Daily message limit reached for your plan.');
+    }
+
+    const { safety, meta } = await screenUserMessage(session, content, targets);
+
+    const userMessage = await prisma.message.create({
+      data: {
+        sessionId,
+        role: 'USER',
+        content,
+        meta
+      }
+    });
+
+    activeTurn.userMessageId = userMessage.id;
+
+    sendSSEEvent(room, 'user_message', {
+      id: userMessage.id,
+      content: userMessage.content,
+      targets: meta.targets,
+      createdAt: userMessage.createdAt
+    });
+
+    if (safety.crisis) {
+      const message = await respondToCrisis({
+        userId: user.id,
+        sessionId,
+        userMessageId: userMessage.id,
+        assessment: safety
+      });
+
+      sendSSEEvent(room, 'safety_response', {
+        content: message.content,
+        helplines: SAFETY_HELPLINES
+      });
+      sendSSEEvent(room, 'complete', {
+        success: true,
+        mode: 'SAFETY',
+        userMessageId: userMessage.id,
+        variant: 1,
+        suggested_topics: []
+      });
+      return;
+    }
+
+    try {
+      const result = await orchestrateChat({
+        session,
+        userInput: content,
+        userMessageId: userMessage.id,
+        targets: meta.targets,
+        stream: true,
+        res: room,
+        signal: activeTurn.controller.signal
+      });
+      // The resting message does not count against the quota
+      answered = !result.degraded;
+
+      await prisma.chatSession.update({
+        where: { id: sessionId },
+        data: { updatedAt: new Date() }
+      });
+
+      sendSSEEvent(room, 'complete', {
+        success: true,
+        mode: result.mode,
+        userMessageId: userMessage.id,
+        variant: 1,
+        ...(result.degraded && { degraded: true }),
+        suggested_topics: result.suggested_topics || []
+      });
+    } catch (error) {
+      if (!(error instanceof CancelledError)) {
+        throw error;
+      }
+
+      sendSSEEvent(room, 'cancelled', {
+        userMessageId: userMessage.id,
+        variant: 1,
+        reason: activeTurn.cancelReason
+      });
+    }
+  } finally {
+    releaseActiveTurn(activeTurn);
+
+    // Only answered turns use the quota
+    if (quotaDay && !answered) {
+      await refundMessageQuota(user.id, quotaDay);
+    }
+  }
+}
+
+/**
+ * Dispatch a client event
+ */
+async function handleClientEvent(ws, user, sessionId, raw) {
+  let event;
+  try {
+    event = JSON.parse(raw.toString());
+  } catch (error) {
+    throw new ValidationError('Events must be JSON');
+  }
+
+  switch (event?.type) {
+    case 'message':
+      return handleUserMessage(ws, user, sessionId, event.data);
+
+    case 'typing':
+      // Relayed to the user's other devices on this session
+      sendSSEEvent(roomTarget(sessionId, ws), 'typing', { isTyping: Boolean(event.data?.isTyping) });
+      return;
+
+    case 'cancel':
+      // Also stops turns started over HTTP, like POST /cancel
+      if (cancelSessionTurns(sessionId, user.id) === 0) {
+        throw new ConflictError('Nothing is being generated in this session');
+      }
+      return;
+
+    default:
+      throw new ValidationError(`Unknown event type: ${event?.type}`);
+  }
+}
+
+/**
+ * Wait for `{ "type": "auth", "data": { "token": "..." } }` on a socket opened without an
+ * Authorization header; any other first event, or none in time, closes it
+ */
+function awaitAuthentication(ws, sessionId) {
+  const timer = setTimeout(() => ws.close(CLOSE_UNAUTHORIZED, 'Authentication timeout'), AUTH_TIMEOUT_MS);
+  timer.unref();
+
+  ws.once('message', async (raw) => {
+    clearTimeout(timer);
+
+    // Events sent right after auth are replayed once the session is ready
+    const pending = [];
+    const queue = (next) => pending.push(next);
+    ws.on('message', queue);
+
+    try {
+      let event;
+      try {
+        event = JSON.parse(raw.toString());
+      } catch (error) {
+        event = null;
+      }
+
+      if (event?.type !== 'auth') {
+        throw new UnauthorizedError('The first event must be auth');
+      }
+
+      const context = await authenticateSession(event.data?.token, sessionId);
+      ws.off('message', queue);
+      startSession(ws, context);
+      pending.forEach(next => ws.emit('message', next));
+    } catch (error) {
+      ws.off('message', queue);
+      if (!(error instanceof AppError)) {
+        logger.error(`WebSocket authentication error in session ${sessionId}:`, error);
+      }
+      sendSSEError(socketTarget(ws), error, error.statusCode || 500);
+      ws.close(error.statusCode === 404 ? CLOSE_NOT_FOUND : CLOSE_UNAUTHORIZED, error.message);
+    }
+  });
+}
+
+function handleConnection(ws, { user, session, sessionId }) {
+  if (!user) {
+    awaitAuthentication(ws, sessionId);
+    return;
+  }
+
+  startSession(ws, { user, session });
+}
+
+function startSession(ws, { user, session }) {
+  joinRoom(session.id, ws);
+  ws.isAlive = true;
+
+  logger.info(`WebSocket connected to session ${session.id} for user ${user.id}`);
+  sendSSEEvent(socketTarget(ws), 'connected', {
+    sessionId: session.id,
+    generating: hasActiveTurn(session.id)
+  });
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('message', async (raw) => {
+    try {
+      await handleClientEvent(ws, user, session.id, raw);
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        logger.error(`WebSocket error in session ${session.id}:`, error);
+      }
+      sendSSEError(socketTarget(ws), error, error.statusCode || 500);
+    }
+  });
+
+  ws.on('close', () => {
+    leaveRoom(session.id, ws);
+
+    // Nobody is left to see the reply; give the user a moment to reconnect before stopping it
+    if (!rooms.has(session.id) && hasActiveTurn(session.id)) {
+      setTimeout(() => {
+        if (!rooms.has(session.id)) {
+          cancelSessionTurns(session.id, user.id, { reason: 'disconnect', transport: 'websocket' });
+        }
+      }, DISCONNECT_GRACE_MS).unref();
+    }
+  });
+}
+
+/**
+ * Attach the chat WebSocket server to the HTTP server
+ */
+export function initializeChatSocketServer(httpServer) {
+  stopChatSocketServer();
+
+  socketServer = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+  socketServer.on('connection', handleConnection);
+
+  httpServer.on('upgrade', async (req, socket, head) => {
+    if (!SOCKET_PATH.test(new URL(req.url, 'http://localhost').pathname)) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    try {
+      const [, sessionId] = new URL(req.url, 'http://localhost').pathname.match(SOCKET_PATH);
+      const token = getBearerToken(req.headers.authorization);
+
+      // Without a header (browsers) the socket authenticates with its first message
+      const context = token ? await authenticateSession(token, sessionId) : { sessionId };
+      socketServer.handleUpgrade(req, socket, head, (ws) => {
+        socketServer.emit('connection', ws, context);
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      rejectUpgrade(socket, statusCode, statusCode === 404 ? 'Not Found' : statusCode === 401 ? 'Unauthorized' : 'Internal Server Error');
+    }
+  });
+
+  pingTimer = setInterval(() => {
+    for (const ws of socketServer.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+}
+
+/**
+ * Close every chat socket and stop accepting new ones
+ */
+export function stopChatSocketServer() {
+  if (pingTimer) {
+    clearInterval(pingTimer);
+    pingTimer = null;
+  }
+
+  if (socketServer) {
+    for (const ws of socketServer.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+    socketServer.close();
+    socketServer = null;
+    logger.info('✅ Chat WebSocket server stopped');
+  }
+}
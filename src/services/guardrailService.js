@@ -0,0 +1,165 @@
+/**
+ * Guardrail Service
+ * Checks what the characters say before it is saved: medication names and doses, diagnostic
+ * language, harmful health advice and output moderation. Offending text is rewritten by the
+ * model once and, if it still fails, the offending sentences are removed.
+ */
+
+import { createTextCompletion, moderateContent } from '../config/llm.js';
+import logger from '../utils/logger.js';
+
+// Set GUARDRAIL_OUTPUT_MODERATION=false to skip the moderation call on every reply
+const OUTPUT_MODERATION_ENABLED = process.env.GUARDRAIL_OUTPUT_MODERATION !== 'false';
+
+const MEDICATIONS = [
+  'fluoxetina', 'sertralina', 'escitalopram', 'citalopram', 'paroxetina', 'venlafaxina',
+  'desvenlafaxina', 'duloxetina', 'bupropiona', 'amitriptilina', 'nortriptilina', 'mirtazapina',
+  'trazodona', 'clonazepam', 'rivotril', 'alprazolam', 'diazepam', 'lorazepam',
+  'bromazepam', 'zolpidem', 'quetiapina', 'risperidona', 'olanzapina', 'aripiprazol',
+  'haloperidol', 'litio', 'carbonato de litio', 'valproato', 'acido valproico', 'lamotrigina',
+  'carbamazepina', 'topiramato', 'pregabalina', 'gabapentina', 'metilfenidato', 'ritalina',
+  'lisdexanfetamina', 'venvanse', 'tramadol', 'codeina', 'morfina'
+];
+
+const medicationPattern = new RegExp(`\\b(${MEDICATIONS.join('|')})\\b`);
+
+// Rules run on lowercase, accent-free text
+const GUARDRAIL_RULES = [
+  { id: 'medication_name', type: 'medication', pattern: medicationPattern },
+  { id: 'medication_class', type: 'medication', pattern: /\b(tome|tomar|use|usar|experimente|comece a tomar) (um |uma |algum |alguma )?(antidepressivo|ansiolitico|calmante|remedio para dormir|estabilizador de humor|antipsicotico)/ },
+  { id: 'dosage', type: 'medication', pattern: /\b\d+([.,]\d+)?\s?(mg|mcg|ml|gotas|comprimidos?|capsulas?)\b/ },
+  { id: 'diagnosis_statement', type: 'diagnosis', pattern: /\bvoce (tem|sofre de|esta com|apresenta|possui|provavelmente tem) (um |uma )?(quadro de |caso de |sinais de )?(depressao|transtorno|bipolaridade|tdah|toc|borderline|esquizofrenia|psicose|sindrome|ansiedade generalizada|panico)/ },
+  { id: 'diagnosis_label', type: 'diagnosis', pattern: /\b(seu|o seu) (diagnostico|quadro clinico)\b|\b(isso|isto) (e|parece|indica) (um caso de|sintoma de|um transtorno|depressao clinica)/ },
+  { id: 'stop_treatment', type: 'harmful_advice', pattern: /\b(pare|parar|interrompa|interromper|suspenda|suspender|largue|largar|abandone|abandonar) (de tomar )?(o |a |os |as |seu |sua |seus |suas )?(medicamento|medicacao|remedio|tratamento|terapia)/ },
+  { id: 'avoid_professional', type: 'harmful_advice', pattern: /\b(nao precisa|nao precisa de|dispense|dispensar|evite|nao procure) (procurar |de )?(um |uma )?(medico|psicologo|psicologa|psiquiatra|terapeuta|ajuda profissional)/ },
+  { id: 'replace_treatment', type: 'harmful_advice', pattern: /\b(substitua|substituir|troque|trocar) (o |a |seu |sua )?(tratamento|medicamento|medicacao|remedio) (por|pela|pelo)/ },
+  { id: 'self_medication', type: 'harmful_advice', pattern: /\b(automedica|jejum prolongado|sem orientacao medica,? (tome|use))/ }
+];
+
+const SAFE_CLOSING = 'Para questões de saúde, como sintomas, diagnósticos ou medicamentos, converse com um médico ou psicólogo de confiança.';
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Find rule violations in a piece of character output
+ * Cheap enough to run on partial text while a reply is streaming.
+ */
+export function detectGuardrailViolations(text) {
+  const normalized = normalizeText(text);
+
+  return GUARDRAIL_RULES
+    .map(rule => {
+      const match = normalized.match(rule.pattern);
+      return match ? { type: rule.type, rule: rule.id, match: match[0] } : null;
+    })
+    .filter(Boolean);
+}
+
+async function detectAllViolations(text) {
+  const violations = detectGuardrailViolations(text);
+
+  if (OUTPUT_MODERATION_ENABLED) {
+    const moderation = await moderateContent(text);
+    if (moderation.flagged) {
+      const categories = Object.keys(moderation.categories || {})
+        .filter(category => moderation.categories[category]);
+      violations.push({ type: 'unsafe_content', rule: 'moderation', match: categories.join(', ') });
+    }
+  }
+
+  return violations;
+}
+
+function buildRepairPrompt(speaker, text, violations) {
+  const problems = [...new Set(violations.map(v => v.type))]
+    .map(type => ({
+      medication: '- cita nomes de medicamentos ou doses',
+      diagnosis: '- faz um diagnóstico ou usa linguagem diagnóstica',
+      harmful_advice: '- dá um conselho que pode prejudicar a saúde',
+      unsafe_content: '- contém conteúdo impróprio'
+    })[type])
+    .join('\n');
+
+  return `A fala abaixo, de ${speaker}, tem problemas:
+${problems}
+
+Reescreva a fala mantendo a voz, o tom e a mensagem de apoio de ${speaker}, mas:
+- sem citar medicamentos, doses ou tratamentos
+- sem diagnosticar nem rotular a pessoa
+- sem desencorajar acompanhamento médico ou psicológico; quando fizer sentido, incentive procurar um profissional
+- com tamanho parecido com o original
+
+Responda apenas com a fala reescrita, sem comentários.
+
+FALA ORIGINAL:
+${text}`;
+}
+
+/**
+ * Drop the sentences that still break a rule and close with a referral to a professional
+ */
+function redactText(text) {
+  const sentences = text.match(/[^.!?\n]+[.!?]*\s*/g) || [text];
+  const kept = sentences
+    .filter(sentence => detectGuardrailViolations(sentence).length === 0)
+    .join('')
+    .trim();
+
+  return kept ? `${kept}\n\n${SAFE_CLOSING}` : SAFE_CLOSING;
+}
+
+/**
+ * Review a character reply and repair it when it breaks a guardrail
+ * Returns { content, guardrail }; guardrail is null when the reply was left untouched.
+ */
+export async function enforceGuardrails({ text, speaker, usageContext }) {
+  try {
+    const violations = await detectAllViolations(text);
+    if (violations.length === 0) {
+      return { content: text, guardrail: null };
+    }
+
+    logger.warn(`Guardrail violations in reply from ${speaker}: ${violations.map(v => v.rule).join(', ')}`);
+
+    let action = 'redacted';
+    let content = null;
+
+    try {
+      const completion = await createTextCompletion({
+        messages: [{ role: 'user', content: buildRepairPrompt(speaker, text, violations) }],
+        temperature: 0.3,
+        usageContext
+      });
+      const rewritten = completion.choices[0]?.message?.content?.trim();
+
+      if (rewritten && (await detectAllViolations(rewritten)).length === 0) {
+        content = rewritten;
+        action = 'repaired';
+      }
+    } catch (error) {
+      logger.error(`Guardrail repair failed for ${speaker}:`, error);
+    }
+
+    if (!content) {
+      content = redactText(text);
+    }
+
+    return {
+      content,
+      guardrail: {
+        action,
+        violations: violations.map(({ type, rule }) => ({ type, rule })),
+        checkedAt: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    // Never block a reply because the check itself failed
+    logger.error(`Guardrail check failed for ${speaker}:`, error);
+    return { content: text, guardrail: null };
+  }
+}
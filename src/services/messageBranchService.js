@@ -0,0 +1,118 @@
+/**
+ * Message Branch Service
+ * A regenerated turn keeps every answer as a variant of the same USER message.
+ * Replies carry `meta.replyTo` (the USER message id) and `meta.variant`; the USER message
+ * records `meta.activeVariant` and `meta.variantCount`. Only the active variant is part of
+ * the conversation the model and the chat screen see.
+ */
+
+import prisma from '../config/database.js';
+import { setActiveActionPlan } from './actionPlanService.js';
+
+/**
+ * Get the variant of a USER message that continues the conversation
+ */
+export function getActiveVariant(userMessage) {
+  return userMessage?.meta?.activeVariant || 1;
+}
+
+/**
+ * Build the meta fields linking a reply to its turn
+ */
+export function buildTurnMeta(turn) {
+  if (!turn?.userMessageId) {
+    return {};
+  }
+
+  return {
+    replyTo: turn.userMessageId,
+    variant: turn.variant || 1
+  };
+}
+
+/**
+ * Drop replies that belong to variants that are not selected
+ * Messages must include `id`, `role` and `meta`; missing parent USER messages are loaded.
+ */
+export async function filterActiveBranch(messages) {
+  const parentIds = [...new Set(messages.map(msg => msg.meta?.replyTo).filter(Boolean))];
+  if (parentIds.length === 0) {
+    return messages;
+  }
+
+  const parents = new Map(
+    messages
+      .filter(msg => msg.role === 'USER')
+      .map(msg => [msg.id, msg])
+  );
+
+  const missingIds = parentIds.filter(id => !parents.has(id));
+  if (missingIds.length > 0) {
+    const loaded = await prisma.message.findMany({
+      where: { id: { in: missingIds } },
+      select: { id: true, meta: true }
+    });
+    loaded.forEach(msg => parents.set(msg.id, msg));
+  }
+
+  return messages.filter(msg => {
+    const replyTo = msg.meta?.replyTo;
+    if (!replyTo || !parents.has(replyTo)) {
+      return true;
+    }
+    return (msg.meta.variant || 1) === getActiveVariant(parents.get(replyTo));
+  });
+}
+
+/**
+ * Get the latest USER message of a session
+ */
+export async function getLastUserMessage(sessionId) {
+  return prisma.message.findFirst({
+    where: {
+      sessionId,
+      role: 'USER'
+    },
+    orderBy: [
+      { createdAt: 'desc' },
+      { id: 'desc' }
+    ]
+  });
+}
+
+/**
+ * Select which variant of a USER message continues the conversation
+ * The action plan of that variant (DECISION) becomes the one that is tracked.
+ */
+export async function setActiveVariant(userMessage, variant, variantCount = userMessage.meta?.variantCount || 1) {
+  const updated = await prisma.message.update({
+    where: { id: userMessage.id },
+    data: {
+      meta: {
+        ...(userMessage.meta || {}),
+        activeVariant: variant,
+        variantCount
+      }
+    }
+  });
+
+  await setActiveActionPlan(userMessage.id, variant);
+  return updated;
+}
+
+/**
+ * Get the replies of one variant of a turn, in order
+ */
+export async function getVariantReplies(userMessageId, variant) {
+  const replies = await prisma.message.findMany({
+    where: {
+      meta: { path: ['replyTo'], equals: userMessageId }
+    },
+    orderBy: [
+      { createdAt: 'asc' },
+      { id: 'asc' }
+    ]
+  });
+
+  return replies.filter(msg => (msg.meta?.variant || 1) === variant);
+}
@@ -0,0 +1,107 @@
+/**
+ * Message Search Service
+ * Full-text search over the messages of all of a user's chat sessions, using the PostgreSQL
+ * Portuguese dictionary. Run scripts/createSearchIndex.js once so searches use the GIN index.
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import { createMessageCursor, parseMessageCursor } from '../utils/pagination.js';
+
+// Inlined rather than bound so the planner can match the index expression in
+// scripts/createSearchIndex.js
+const SEARCH_CONFIG = Prisma.raw("'portuguese'::regconfig");
+
+// Matches are delimited with control characters and turned into <mark> once the text is escaped
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape the snippet text so only the highlight tags are markup
+ */
+function formatSnippet(headline) {
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
+
+/**
+ * Search a user's messages, newest first
+ * `query` uses web search syntax ("quoted phrases", or, -excluded). Results carry an HTML-escaped
+ * snippet with the matches wrapped in <mark>, and `messageCursor`, which passed as `cursor` to
+ * GET /chat/sessions/:id loads the conversation leading up to and including the match.
+ * `nextCursor` pages through the results and starts after the last one.
+ */
+export async function searchMessages(userId, { query, character = null, mode = null, from = null, to = null, cursor = null, limit = 20 }) {
+  const filters = [
+    Prisma.sql`s."userId" = ${userId}`,
+    Prisma.sql`to_tsvector(${SEARCH_CONFIG}, m.content) @@ q.query`,
+    // Conversation only: no prompts, rolling summaries or safety notices
+    Prisma.sql`m.role IN ('USER', 'CHARACTER', 'SUMMARY')`,
+    Prisma.sql`COALESCE(m.meta->>'messageType', '') <> 'session_summary'`
+  ];
+
+  if (character) {
+    filters.push(Prisma.sql`m."authorKey" = ${character}`);
+  }
+  if (mode) {
+    filters.push(Prisma.sql`s.mode = ${mode}::"ChatMode"`);
+  }
+  if (from) {
+    filters.push(Prisma.sql`m."createdAt" >= ${from}`);
+  }
+  if (to) {
+    filters.push(Prisma.sql`m."createdAt" <= ${to}`);
+  }
+
+  const after = cursor ? parseMessageCursor(cursor) : null;
+  if (after) {
+    filters.push(after.inclusive
+      ? Prisma.sql`(m."createdAt", m.id) <= (${after.timestamp}, ${after.id})`
+      : Prisma.sql`(m."createdAt", m.id) < (${after.timestamp}, ${after.id})`);
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      m.id,
+      m."sessionId",
+      m.role,
+      m."authorKey",
+      m."authorName",
+      m."createdAt",
+      s.title AS "sessionTitle",
+      s.mode AS "sessionMode",
+      ts_headline(${SEARCH_CONFIG}, m.content, q.query, ${HEADLINE_OPTIONS}) AS snippet,
+      ts_rank(to_tsvector(${SEARCH_CONFIG}, m.content), q.query) AS rank
+    FROM messages m
+    JOIN chat_sessions s ON s.id = m."sessionId"
+    CROSS JOIN websearch_to_tsquery(${SEARCH_CONFIG}, ${query}) AS q(query)
+    WHERE ${Prisma.join(filters, ' AND ')}
+    ORDER BY m."createdAt" DESC, m.id DESC
+    LIMIT ${limit + 1}
+  `;
+
+  const hasMore = rows.length > limit;
+  const results = rows.slice(0, limit).map(row => ({
+    messageId: row.id,
+    sessionId: row.sessionId,
+    sessionTitle: row.sessionTitle,
+    sessionMode: row.sessionMode,
+    role: row.role,
+    authorKey: row.authorKey,
+    authorName: row.authorName,
+    snippet: formatSnippet(row.snippet),
+    rank: Number(row.rank),
+    createdAt: row.createdAt,
+    messageCursor: createMessageCursor(row, { inclusive: true })
+  }));
+
+  return {
+    results,
+    nextCursor: hasMore ? createMessageCursor(rows[limit - 1]) : null
+  };
+}
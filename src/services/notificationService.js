@@ -5,7 +5,7 @@
 
 import cron from 'node-cron';
 import { getUsersWithEnabledNotifications } from './preferencesService.js';
-import { createStructuredResponse } from '../config/openai.js';
+import { createStructuredResponse } from '../config/llm.js';
 import logger from '../utils/logger.js';
 
 // Store active cron jobs
@@ -39,7 +39,8 @@ async function generateMotivationalMessage(userContext) {
         additionalProperties: false
       },
       temperature: 0.8,
-      maxTokens: 300
+      maxTokens: 300,
+      usageContext: { userId: userContext.userId || null, operation: 'notification' }
     });
 
     const content = completion.choices[0]?.message?.content;
@@ -103,6 +104,7 @@ async function sendDailyNotifications() {
     for (const userPref of dailyUsers) {
       try {
         const message = await generateMotivationalMessage({
+          userId: userPref.user.id,
           name: userPref.user.name
         });
 
@@ -143,6 +145,7 @@ async function sendWeeklyNotifications() {
     for (const userPref of weeklyUsers) {
       try {
         const message = await generateMotivationalMessage({
+          userId: userPref.user.id,
           name: userPref.user.name
         });
 
@@ -275,7 +278,7 @@ export function getSchedulerStatus() {
 export async function sendTestNotification(userId) {
   try {
     // This would be used for testing notifications
-    const message = await generateMotivationalMessage({ name: 'Usuário Teste' });
+    const message = await generateMotivationalMessage({ userId, name: 'Usuário Teste' });
     
     // In a real implementation, you'd get user details and send actual notification
     logger.info(`🧪 Test notification generated: ${message.substring(0, 100)}...`);
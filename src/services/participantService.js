@@ -0,0 +1,205 @@
+/**
+ * Participant Service
+ * Changes the characters of a running session. Every change is recorded as a NARRATOR
+ * message so the chat screen and the model history show who was present when.
+ */
+
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const MAX_PARTICIPANTS = parseInt(process.env.CHAT_MAX_PARTICIPANTS) || 6;
+
+const PARTICIPANT_INCLUDE = {
+  character: {
+    select: {
+      id: true,
+      key: true,
+      name: true,
+      avatarUrl: true,
+      styleTags: true
+    }
+  }
+};
+
+function describeMembershipChange(session, characterName, action) {
+  const isCouncil = session.mode === 'COUNCIL';
+  return action === 'joined'
+    ? `${characterName} entrou ${isCouncil ? 'no conselho' : 'na conversa'}`
+    : `${characterName} saiu ${isCouncil ? 'do conselho' : 'da conversa'}`;
+}
+
+async function getOrderedParticipants(client, sessionId) {
+  return client.chatParticipant.findMany({
+    where: { sessionId },
+    include: PARTICIPANT_INCLUDE,
+    orderBy: { orderIndex: 'asc' }
+  });
+}
+
+/**
+ * Persist a participant order as contiguous orderIndex values
+ */
+async function writeOrder(tx, participants) {
+  for (const [index, participant] of participants.entries()) {
+    if (participant.orderIndex !== index) {
+      await tx.chatParticipant.update({
+        where: { id: participant.id },
+        data: { orderIndex: index }
+      });
+    }
+  }
+}
+
+async function createNarratorMessage(tx, sessionId, content, meta) {
+  return tx.message.create({
+    data: {
+      sessionId,
+      role: 'NARRATOR',
+      authorName: 'Narrador',
+      content,
+      meta: {
+        messageType: 'participant_change',
+        ...meta
+      }
+    }
+  });
+}
+
+function formatParticipants(participants) {
+  return participants.map((participant, index) => ({
+    character: {
+      key: participant.character.key,
+      name: participant.character.name,
+      avatarUrl: participant.character.avatarUrl,
+      styleTags: participant.character.styleTags
+    },
+    orderIndex: index
+  }));
+}
+
+/**
+ * Invite a character into a session, at the end or at the given position
+ */
+export async function addParticipant(session, characterKey, position) {
+  const character = await prisma.character.findFirst({
+    where: { key: characterKey, isActive: true }
+  });
+
+  if (!character) {
+    throw new NotFoundError('Character');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const participants = await getOrderedParticipants(tx, session.id);
+
+    if (participants.some(p => p.characterId === character.id)) {
+      throw new ConflictError(`${character.name} is already in this session`);
+    }
+
+    if (session.mode === 'MENTOR') {
+      throw new ValidationError('A mentoring session has exactly one character');
+    }
+
+    if (participants.length >= MAX_PARTICIPANTS) {
+      throw new ValidationError(`Maximum ${MAX_PARTICIPANTS} characters allowed`);
+    }
+
+    const created = await tx.chatParticipant.create({
+      data: {
+        sessionId: session.id,
+        characterId: character.id,
+        orderIndex: participants.length
+      },
+      include: PARTICIPANT_INCLUDE
+    });
+
+    const index = position === undefined
+      ? participants.length
+      : Math.min(position, participants.length);
+    const ordered = [...participants];
+    ordered.splice(index, 0, created);
+    await writeOrder(tx, ordered);
+
+    const message = await createNarratorMessage(tx, session.id, describeMembershipChange(session, character.name, 'joined'), {
+      action: 'joined',
+      characterKey: character.key,
+      characters: ordered.map(p => p.character.key)
+    });
+
+    logger.info(`Character ${character.key} joined session ${session.id}`);
+
+    return { participants: formatParticipants(ordered), message };
+  });
+}
+
+/**
+ * Remove a character from a session; at least one participant must remain
+ */
+export async function removeParticipant(session, characterKey) {
+  return prisma.$transaction(async (tx) => {
+    const participants = await getOrderedParticipants(tx, session.id);
+    const removed = participants.find(p => p.character.key === characterKey);
+
+    if (!removed) {
+      throw new NotFoundError('Participant');
+    }
+
+    const minParticipants = session.mode === 'DEBATE' ? 2 : 1;
+    if (participants.length <= minParticipants) {
+      throw new ValidationError(session.mode === 'DEBATE'
+        ? 'A debate needs at least 2 characters'
+        : 'A session needs at least one character');
+    }
+
+    await tx.chatParticipant.delete({ where: { id: removed.id } });
+
+    const remaining = participants.filter(p => p.id !== removed.id);
+    await writeOrder(tx, remaining);
+
+    const message = await createNarratorMessage(tx, session.id, describeMembershipChange(session, removed.character.name, 'left'), {
+      action: 'left',
+      characterKey: removed.character.key,
+      characters: remaining.map(p => p.character.key)
+    });
+
+    logger.info(`Character ${characterKey} left session ${session.id}`);
+
+    return { participants: formatParticipants(remaining), message };
+  });
+}
+
+/**
+ * Change the speaking order of a session; the keys must be exactly the current participants
+ */
+export async function reorderParticipants(session, characterKeys) {
+  return prisma.$transaction(async (tx) => {
+    const participants = await getOrderedParticipants(tx, session.id);
+    const currentKeys = participants.map(p => p.character.key);
+
+    const sameParticipants = characterKeys.length === currentKeys.length &&
+      new Set(characterKeys).size === characterKeys.length &&
+      characterKeys.every(key => currentKeys.includes(key));
+
+    if (!sameParticipants) {
+      throw new ValidationError(`Order must list exactly the current participants: ${currentKeys.join(', ')}`);
+    }
+
+    const ordered = characterKeys.map(key => participants.find(p => p.character.key === key));
+    await writeOrder(tx, ordered);
+
+    const message = await createNarratorMessage(
+      tx,
+      session.id,
+      `Nova ordem de fala: ${ordered.map(p => p.character.name).join(', ')}`,
+      {
+        action: 'reordered',
+        characters: characterKeys
+      }
+    );
+
+    logger.info(`Participants of session ${session.id} reordered`);
+
+    return { participants: formatParticipants(ordered), message };
+  });
+}
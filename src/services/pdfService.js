@@ -6,6 +6,11 @@
 import htmlPdf from 'html-pdf-node';
 import path from 'path';
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Chat messages are free text typed by the user or written by the model
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 export class PDFService {
   /**
    * Generate PDF from HTML content
@@ -54,6 +59,17 @@ export class PDFService {
     return await this.generatePDF(htmlContent);
   }
 
+  /**
+   * Generate PDF for a chat session export
+   * @param {Object} document - Session export built by sessionExportService
+   * @param {Object} userInfo - User information
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  static async generateChatSessionPDF(document, userInfo) {
+    const htmlContent = this.generateChatSessionHTML(document, userInfo);
+    return await this.generatePDF(htmlContent);
+  }
+
   /**
    * Generate HTML content for prayers
    * @param {Array} prayers - Array of prayers
@@ -493,4 +509,299 @@ export class PDFService {
     </html>
     `;
   }
-}
\ No newline at end of file
+
+  /**
+   * Generate HTML content for a chat session
+   * @param {Object} document - Session export built by sessionExportService
+   * @param {Object} userInfo - User information
+   * @returns {string} HTML content
+   */
+  static generateChatSessionHTML(document, userInfo) {
+    const { session, participants, entries } = document;
+
+    const formatDate = (date) => {
+      return new Date(date).toLocaleDateString('pt-BR', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+    };
+
+    const initials = (name) => {
+      return String(name || '?')
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map(word => word[0].toUpperCase())
+        .join('');
+    };
+
+    const avatar = (name, avatarUrl) => {
+      return avatarUrl
+        ? `<img class="avatar" src="${escapeHtml(avatarUrl)}" alt="${escapeHtml(name)}">`
+        : `<div class="avatar avatar-initials">${escapeHtml(initials(name))}</div>`;
+    };
+
+    const list = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+    const participantsHTML = participants.map(participant => `
+      <div class="participant">
+        ${avatar(participant.name, participant.avatarUrl)}
+        <span>${escapeHtml(participant.name)}</span>
+      </div>
+    `).join('');
+
+    const entriesHTML = entries.map(entry => {
+      if (entry.type === 'suggested_topics') {
+        return `
+          <div class="topics">
+            <span class="topics-label">Tópicos sugeridos</span>
+            ${entry.topics.map(topic => `<span class="topic">${escapeHtml(topic)}</span>`).join('')}
+          </div>
+        `;
+      }
+
+      if (entry.decision) {
+        return `
+          <div class="decision">
+            <div class="decision-label">Decisão do conselho</div>
+            ${entry.decision.title ? `<h3>${escapeHtml(entry.decision.title)}</h3>` : ''}
+            <div class="message-content">${escapeHtml(entry.content)}</div>
+            ${entry.decision.rationale ? `
+              <div class="decision-rationale">
+                <h4>Por quê</h4>
+                <p>${escapeHtml(entry.decision.rationale)}</p>
+              </div>
+            ` : ''}
+            ${entry.decision.actionSteps.length > 0 ? `
+              <h4>Próximos passos</h4>
+              <ol>
+                ${entry.decision.actionSteps.map(step => `
+                  <li><strong>${escapeHtml(step.title)}</strong>${step.description ? ` — ${escapeHtml(step.description)}` : ''}</li>
+                `).join('')}
+              </ol>
+            ` : ''}
+          </div>
+        `;
+      }
+
+      const isUser = entry.role === 'USER';
+      return `
+        <div class="message ${isUser ? 'message-user' : ''}">
+          ${isUser ? '' : avatar(entry.authorName, entry.avatarUrl)}
+          <div class="message-body">
+            <div class="message-meta">
+              <span class="message-author">${escapeHtml(entry.authorName)}</span>
+              <span class="message-date">${formatDate(entry.createdAt)}${entry.cancelled ? ' · resposta interrompida' : ''}</span>
+            </div>
+            ${entry.synthesis?.title ? `<h3 class="synthesis-title">${escapeHtml(entry.synthesis.title)}</h3>` : ''}
+            <div class="message-content">${escapeHtml(entry.content)}</div>
+            ${entry.synthesis?.agreements.length > 0 ? `
+              <div class="message-section">
+                <h4>Pontos de acordo</h4>
+                ${list(entry.synthesis.agreements)}
+              </div>
+            ` : ''}
+            ${entry.synthesis?.openQuestions.length > 0 ? `
+              <div class="message-section">
+                <h4>Questões em aberto</h4>
+                ${list(entry.synthesis.openQuestions)}
+              </div>
+            ` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="pt-BR">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(session.title || 'Conversa')} - ${escapeHtml(userInfo.name)}</title>
+      <style>
+        body {
+          font-family: 'Georgia', serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 800px;
+          margin: 0 auto;
+          padding: 20px;
+          background: #fafafa;
+        }
+        .header {
+          text-align: center;
+          margin-bottom: 30px;
+          border-bottom: 2px solid #8b5a3c;
+          padding-bottom: 20px;
+        }
+        .header h1 {
+          color: #8b5a3c;
+          font-size: 28px;
+          margin: 0;
+        }
+        .header h2 {
+          color: #666;
+          font-size: 18px;
+          margin: 10px 0 0 0;
+          font-weight: normal;
+        }
+        .export-info {
+          text-align: center;
+          margin-bottom: 20px;
+          color: #666;
+          font-style: italic;
+        }
+        .participants {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: 15px;
+          margin-bottom: 30px;
+        }
+        .participant {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 14px;
+        }
+        .avatar {
+          width: 40px;
+          height: 40px;
+          border-radius: 50%;
+          object-fit: cover;
+          flex-shrink: 0;
+        }
+        .avatar-initials {
+          background: #8b5a3c;
+          color: white;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 14px;
+          font-weight: bold;
+        }
+        .message {
+          display: flex;
+          gap: 12px;
+          margin-bottom: 20px;
+          page-break-inside: avoid;
+        }
+        .message-body {
+          flex: 1;
+          background: white;
+          border: 1px solid #ddd;
+          border-radius: 8px;
+          padding: 15px 20px;
+        }
+        .message-user .message-body {
+          background: #f3ebe5;
+          border-color: #e0d0c4;
+          margin-left: 52px;
+        }
+        .message-meta {
+          display: flex;
+          justify-content: space-between;
+          margin-bottom: 8px;
+        }
+        .message-author {
+          color: #8b5a3c;
+          font-weight: bold;
+        }
+        .message-date {
+          color: #999;
+          font-size: 12px;
+        }
+        .message-content {
+          white-space: pre-wrap;
+        }
+        .message-section h4,
+        .decision h4 {
+          color: #8b5a3c;
+          margin: 15px 0 5px 0;
+          font-size: 15px;
+        }
+        .synthesis-title {
+          margin: 0 0 10px 0;
+          font-size: 18px;
+        }
+        .decision {
+          background: #fdf6ec;
+          border: 2px solid #8b5a3c;
+          border-radius: 8px;
+          padding: 20px 25px;
+          margin: 25px 0;
+          page-break-inside: avoid;
+        }
+        .decision-label {
+          color: #8b5a3c;
+          font-size: 12px;
+          font-weight: bold;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+        }
+        .decision h3 {
+          color: #8b5a3c;
+          font-size: 22px;
+          margin: 5px 0 15px 0;
+        }
+        .decision-rationale {
+          margin-top: 15px;
+          padding: 10px 15px;
+          background: white;
+          border-left: 4px solid #8b5a3c;
+          border-radius: 0 4px 4px 0;
+        }
+        .decision-rationale h4 {
+          margin-top: 0;
+        }
+        .decision-rationale p {
+          margin: 0;
+        }
+        .topics {
+          margin: 0 0 25px 52px;
+          font-size: 13px;
+        }
+        .topics-label {
+          color: #666;
+          font-style: italic;
+          margin-right: 8px;
+        }
+        .topic {
+          display: inline-block;
+          background: #f0e6dd;
+          color: #8b5a3c;
+          padding: 3px 10px;
+          border-radius: 12px;
+          margin: 3px 4px 3px 0;
+        }
+        @media print {
+          body { background: white; }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>${escapeHtml(session.title || 'Conversa')}</h1>
+        <h2>${escapeHtml(session.modeLabel)} · ${escapeHtml(userInfo.name)}</h2>
+      </div>
+
+      <div class="export-info">
+        Conversa iniciada em ${formatDate(session.createdAt)} · Exportado em ${formatDate(document.exportedAt)}
+      </div>
+
+      <div class="participants">
+        ${participantsHTML}
+      </div>
+
+      <div class="messages-container">
+        ${entriesHTML}
+      </div>
+    </body>
+    </html>
+    `;
+  }
+}
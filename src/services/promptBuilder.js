@@ -5,11 +5,13 @@
 
 import logger from '../utils/logger.js';
 import { getUserResponseTone } from './preferencesService.js';
+import { retrieveRelevantMemories } from './userMemoryService.js';
 
 /**
- * Build user context from profile, questionnaire, and preferences
+ * Build user context from profile, questionnaire, preferences and long-term memories
+ * `query` is the new question, used to pick the memories relevant to it
  */
-export async function buildUserContext(user) {
+export async function buildUserContext(user, { query = '' } = {}) {
   const context = {
     name: user.name,
     responseStyle: user.responseStyle || 'BREVE',
@@ -57,6 +59,14 @@ export async function buildUserContext(user) {
     };
   }
 
+  // Recall what the user shared in earlier sessions and diary entries
+  try {
+    context.memories = await retrieveRelevantMemories(user.id, query);
+  } catch (error) {
+    logger.warn('Failed to retrieve user memories:', error);
+    context.memories = [];
+  }
+
   return context;
 }
 
@@ -88,11 +98,7 @@ function getResponseStyleInstructions(responseStyle) {
   return styles[responseStyle] || styles.BREVE;
 }
 
-/**
- * Build system prompt for a character with user context
- */
-export function buildCharacterSystemPrompt(character, userContext) {
-  const baseRules = `
+const BASE_RULES = `
 REGRAS FUNDAMENTAIS:
 - Responda SEMPRE em português brasileiro
 - Use tom acolhedor, respeitoso e empático
@@ -105,15 +111,28 @@ REGRAS FUNDAMENTAIS:
 - Evite discursos longos ou pregação excessiva
   `;
 
-  // Use new responseTone preference if available, fallback to legacy responseStyle
-  const toneInstructions = userContext.responseTone 
+// Total characters of persona text allowed in a group prompt, shared among participants
+const PERSONA_PROMPT_BUDGET = parseInt(process.env.PROMPT_PERSONA_BUDGET) || 6000;
+
+/**
+ * Get tone instructions for the user, preferring responseTone over the legacy responseStyle
+ */
+function getToneInstructions(userContext) {
+  return userContext.responseTone 
     ? getResponseToneInstructions(userContext.responseTone)
     : getResponseStyleInstructions(userContext.responseStyle);
+}
+
+/**
+ * Build the user profile section from questionnaire answers
+ */
+function buildUserProfileSection(userContext) {
+  if (!userContext.profile) {
+    return '';
+  }
 
-  let contextualInfo = '';
-  if (userContext.profile) {
-    const profile = userContext.profile;
-    contextualInfo = `
+  const profile = userContext.profile;
+  return `
 CONTEXTO DO USUÁRIO:
 - Faixa etária: ${profile.ageRange}
 - Situação atual: ${profile.currentSituation}
@@ -124,42 +143,144 @@ CONTEXTO DO USUÁRIO:
 
 Use estas informações para personalizar sua resposta e torná-la mais relevante.
     `;
+}
+
+/**
+ * Build the section with what is remembered about the user from earlier conversations
+ */
+function buildUserMemorySection(userContext) {
+  if (!userContext.memories?.length) {
+    return '';
   }
 
+  const labels = {
+    FACT: 'Fato',
+    STRUGGLE: 'Dificuldade',
+    DECISION: 'Decisão tomada'
+  };
+
+  const lines = userContext.memories
+    .map(memory => `- [${labels[memory.kind] || memory.kind}] ${memory.content}`)
+    .join('\n');
+
+  return `
+O QUE JÁ SABEMOS SOBRE O USUÁRIO (de conversas e registros anteriores):
+${lines}
+
+Retome essas lembranças apenas quando forem relevantes para a pergunta, com naturalidade e discrição.
+`;
+}
+
+/**
+ * Cut a persona down to maxLength, preferring to stop at a paragraph or sentence end
+ */
+function trimPersona(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength);
+  const boundary = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf('. '));
+  const end = boundary > maxLength * 0.6 ? boundary + 1 : maxLength;
+
+  return `${cut.slice(0, end).trim()} [...]`;
+}
+
+/**
+ * Build the personas section for a group prompt
+ * The budget is split evenly; what short personas leave unused goes to the longer ones.
+ */
+export function buildPersonaSection(characters, budget = PERSONA_PROMPT_BUDGET) {
+  const limits = new Map();
+  let remaining = budget;
+  let pending = characters.length;
+
+  [...characters]
+    .sort((a, b) => (a.basePrompt?.length || 0) - (b.basePrompt?.length || 0))
+    .forEach(char => {
+      const share = Math.floor(remaining / pending);
+      const limit = Math.min(char.basePrompt?.length || 0, share);
+      limits.set(char.key, limit);
+      remaining -= limit;
+      pending--;
+    });
+
+  return characters
+    .map(char => `### ${char.name} (${char.key})\n${trimPersona(char.basePrompt || '', limits.get(char.key))}`)
+    .join('\n\n');
+}
+
+/**
+ * Build system prompt for a character with user context
+ */
+export function buildCharacterSystemPrompt(character, userContext) {
   const prompt = `${character.basePrompt}
 
-${baseRules}
+${BASE_RULES}
 
-ESTILO DE RESPOSTA: ${toneInstructions}
+ESTILO DE RESPOSTA: ${getToneInstructions(userContext)}
 
-${contextualInfo}
+${buildUserProfileSection(userContext)}
+${buildUserMemorySection(userContext)}
 
 Seja autêntico ao seu personagem, mas sempre mantenha o foco no bem-estar e crescimento da pessoa.`;
 
   return prompt.trim();
 }
 
+/**
+ * Render one stored message as a transcript line, or '' for messages the model should not see
+ */
+export function formatTranscriptLine(msg) {
+  if (msg.role === 'USER') {
+    return `Usuário: ${msg.content}`;
+  } else if (msg.role === 'CHARACTER') {
+    return `${msg.authorName}: ${msg.content}`;
+  } else if (msg.role === 'SUMMARY' && msg.meta?.messageType === 'session_summary') {
+    return `Resumo da conversa até aqui: ${msg.content}`;
+  } else if (msg.role === 'SUMMARY' && msg.meta?.messageType === 'debate_synthesis') {
+    return `Síntese do debate anterior: ${msg.content}`;
+  } else if (msg.role === 'SUMMARY') {
+    return `Decisão anterior: ${msg.content}`;
+  } else if (msg.role === 'NARRATOR') {
+    return `(${msg.content})`;
+  }
+  return '';
+}
+
+/**
+ * Build the conversation history section from an already budgeted message list
+ */
+function formatHistorySection(messageHistory) {
+  const lines = messageHistory.map(formatTranscriptLine).filter(Boolean);
+
+  return lines.length > 0
+    ? '\n\nHISTÓRICO DA CONVERSA:\n' + lines.join('\n')
+    : '';
+}
+
 /**
  * Build prompt for Council mode
  */
 export function buildCouncilPrompt(characters, messageHistory, userInput, userContext) {
   const characterList = characters.map(char => `${char.name} (${char.key})`).join(', ');
   
-  const historyText = messageHistory.length > 0 
-    ? '\n\nHISTÓRICO DA CONVERSA:\n' + messageHistory.slice(-10).map(msg => {
-        if (msg.role === 'USER') {
-          return `Usuário: ${msg.content}`;
-        } else if (msg.role === 'CHARACTER') {
-          return `${msg.authorName}: ${msg.content}`;
-        }
-        return '';
-      }).filter(Boolean).join('\n')
-    : '';
+  const historyText = formatHistorySection(messageHistory);
 
   const systemPrompt = `Você está facilitando uma sessão de CONSELHO EM GRUPO com os seguintes personagens: ${characterList}.
 
+PERSONAS DOS PERSONAGENS:
+${buildPersonaSection(characters)}
+
+${BASE_RULES}
+
+ESTILO DE RESPOSTA: ${getToneInstructions(userContext)}
+
+${buildUserProfileSection(userContext)}
+${buildUserMemorySection(userContext)}
+
 INSTRUÇÕES:
-1. Cada personagem deve responder de forma única, seguindo sua persona específica
+1. Cada personagem deve responder de forma única, seguindo fielmente sua persona descrita acima
 2. As respostas devem ser complementares, não repetitivas
 3. Mantenha a ordem estabelecida dos personagens
 4. Cada resposta deve ter entre 100-300 palavras
@@ -190,29 +311,30 @@ NOVA PERGUNTA DO USUÁRIO: ${userInput}`;
 export function buildDecisionPrompt(characters, messageHistory, userInput, userContext) {
   const characterList = characters.map(char => `${char.name} (${char.key})`).join(', ');
   
-  const historyText = messageHistory.length > 0 
-    ? '\n\nHISTÓRICO DA CONVERSA:\n' + messageHistory.slice(-10).map(msg => {
-        if (msg.role === 'USER') {
-          return `Usuário: ${msg.content}`;
-        } else if (msg.role === 'CHARACTER') {
-          return `${msg.authorName}: ${msg.content}`;
-        } else if (msg.role === 'SUMMARY') {
-          return `Decisão anterior: ${msg.content}`;
-        }
-        return '';
-      }).filter(Boolean).join('\n')
-    : '';
+  const historyText = formatHistorySection(messageHistory);
 
   const systemPrompt = `Você está facilitando uma sessão de DECISÃO EM GRUPO com os seguintes personagens: ${characterList}.
 
+PERSONAS DOS PERSONAGENS:
+${buildPersonaSection(characters)}
+
+${BASE_RULES}
+
+ESTILO DE RESPOSTA: ${getToneInstructions(userContext)}
+
+${buildUserProfileSection(userContext)}
+${buildUserMemorySection(userContext)}
+
 PROCESSO:
 1. ANÁLISE: Cada personagem oferece uma análise curta (50-100 palavras) da situação
 2. DECISÃO FINAL: Um moderador sintetiza uma resposta colaborativa baseada nas análises
+3. PLANO DE AÇÃO: A decisão termina com 1 a 5 passos concretos que o usuário pode cumprir
 
 INSTRUÇÕES:
-- Cada análise deve capturar a perspectiva única do personagem
+- Cada análise deve capturar a perspectiva única do personagem, conforme sua persona descrita acima
 - A decisão final deve integrar as diferentes perspectivas de forma coerente
 - Inclua justificativa clara para a decisão
+- Cada passo do plano deve ser uma ação específica e verificável; em "due_in_days" indique em quantos dias ela deve ser feita, ou null quando não houver prazo natural
 - Mantenha tom respeitoso e encorajador
 - Inclua até 3 tópicos sugeridos para continuar
 
@@ -226,23 +348,241 @@ FORMATO DE RESPOSTA: Retorne um JSON válido seguindo exatamente esta estrutura:
   "final_decision": {
     "title": "Título da Decisão",
     "content": "Conteúdo da decisão...",
-    "rationale": "Justificativa da decisão..."
+    "rationale": "Justificativa da decisão...",
+    "action_steps": [
+      {"title": "Passo concreto", "description": "Como fazer...", "due_in_days": 7},
+      ...
+    ]
   },
   "suggested_topics": ["tópico 1", "tópico 2", "tópico 3"]
 }
 
 IMPORTANTE: O campo "suggested_topics" é OBRIGATÓRIO e deve sempre conter pelo menos 1-3 sugestões de tópicos relacionados.
+
+${historyText}
+
+SITUAÇÃO PARA DECISÃO: ${userInput}`;
+
+  return systemPrompt;
+}
+
+/**
+ * Build prompt for Debate mode
+ */
+export function buildDebatePrompt(characters, messageHistory, userInput, userContext, rounds) {
+  const characterList = characters.map(char => `${char.name} (${char.key})`).join(', ');
+  
+  const historyText = formatHistorySection(messageHistory);
+
+  const systemPrompt = `Você está moderando um DEBATE entre os seguintes personagens: ${characterList}.
+
+PERSONAS DOS PERSONAGENS:
+${buildPersonaSection(characters)}
+
+${BASE_RULES}
+
+ESTILO DE RESPOSTA: ${getToneInstructions(userContext)}
+
+${buildUserProfileSection(userContext)}
+${buildUserMemorySection(userContext)}
+
+PROCESSO:
+1. POSIÇÕES: Cada personagem assume uma posição clara sobre o dilema, coerente com sua persona. As posições devem ser diferentes entre si; quando o dilema tiver dois lados, divida os personagens entre eles
+2. RODADAS: O debate tem exatamente ${rounds} rodada(s). Em cada rodada, todos os personagens falam uma vez, na ordem estabelecida
+3. RÉPLICAS: A partir da segunda fala, cada personagem responde diretamente a um argumento anterior de outro personagem, indicando em "respondsTo" a chave de quem está rebatendo (null na primeira fala do debate)
+4. SÍNTESE: Ao final, um moderador resume o debate com imparcialidade, listando os pontos de acordo e as questões que o usuário ainda precisa responder por si
+
+INSTRUÇÕES:
+- Cada argumento deve ter entre 60-150 palavras
+- Os personagens debatem ideias com respeito e firmeza, sem ataques pessoais
+- A síntese não escolhe um vencedor; ela ajuda o usuário a decidir
+- Inclua até 3 tópicos sugeridos para continuar
+
+FORMATO DE RESPOSTA: Retorne um JSON válido seguindo exatamente esta estrutura:
+{
+  "mode": "DEBATE",
+  "positions": [
+    {"characterKey": "chave", "characterName": "Nome", "stance": "posição em uma frase"},
+    ...
+  ],
+  "rounds": [
+    {
+      "round": 1,
+      "arguments": [
+        {"characterKey": "chave", "characterName": "Nome", "content": "argumento...", "respondsTo": null},
+        ...
+      ]
+    },
+    ...
+  ],
+  "synthesis": {
+    "title": "Título da síntese",
+    "content": "Síntese do debate...",
+    "agreements": ["ponto de acordo 1", "..."],
+    "open_questions": ["questão em aberto 1", "..."]
   },
   "suggested_topics": ["tópico 1", "tópico 2", "tópico 3"]
 }
 
+IMPORTANTE: O campo "suggested_topics" é OBRIGATÓRIO e deve sempre conter pelo menos 1-3 sugestões de tópicos relacionados.
+
 ${historyText}
 
-SITUAÇÃO PARA DECISÃO: ${userInput}`;
+DILEMA DO USUÁRIO: ${userInput}`;
 
   return systemPrompt;
 }
 
+// Persona excerpt used when writing mentor follow-up suggestions
+const MENTOR_PERSONA_SUGGESTIONS_LENGTH = 1500;
+
+/**
+ * Build chat messages for a one-on-one MENTOR conversation
+ * Past user and character turns become user/assistant messages; summaries and narrator
+ * notes stay in the system prompt as context.
+ */
+export function buildMentorMessages(character, messageHistory, userInput, userContext) {
+  const contextLines = messageHistory
+    .filter(msg => msg.role !== 'USER' && msg.role !== 'CHARACTER')
+    .map(formatTranscriptLine)
+    .filter(Boolean);
+
+  const contextText = contextLines.length > 0
+    ? '\n\nCONTEXTO DA CONVERSA:\n' + contextLines.join('\n')
+    : '';
+
+  const systemPrompt = `${buildCharacterSystemPrompt(character, userContext)}
+
+MENTORIA INDIVIDUAL:
+- Esta é uma conversa a sós entre você, ${character.name}, e a pessoa que você acompanha
+- Converse de forma natural e próxima, em primeira pessoa, como em um diálogo
+- Responda entre 80-250 palavras, sem listas longas e sem prefixar a resposta com seu nome
+- Quando fizer sentido, termine com uma pergunta que ajude a pessoa a refletir${contextText}`;
+
+  const turns = messageHistory
+    .filter(msg => msg.role === 'USER' || msg.role === 'CHARACTER')
+    .map(msg => ({
+      role: msg.role === 'USER' ? 'user' : 'assistant',
+      content: msg.content
+    }));
+
+  return [
+    { role: 'system', content: systemPrompt },
+    ...turns,
+    { role: 'user', content: userInput }
+  ];
+}
+
+/**
+ * Build prompt for follow-up suggestions in the voice of a MENTOR character
+ */
+export function buildMentorSuggestionsPrompt(character, userInput, reply) {
+  return `Você sugere como a conversa de mentoria com ${character.name} pode continuar.
+
+PERSONA DE ${character.name.toUpperCase()}:
+${trimPersona(character.basePrompt || '', MENTOR_PERSONA_SUGGESTIONS_LENGTH)}
+
+Com base na última troca abaixo, sugira até 3 próximos passos curtos (máximo 8 palavras cada), em português brasileiro, escritos como perguntas ou pedidos que o usuário faria a ${character.name}. Use temas e o vocabulário típicos deste personagem.
+
+USUÁRIO: ${userInput}
+
+${character.name.toUpperCase()}: ${reply}
+
+Retorne um JSON válido no formato: {"suggested_topics": ["sugestão 1", "sugestão 2", "sugestão 3"]}`;
+}
+
+/**
+ * Build messages for one participant of a sequential council turn
+ * The speaker sees the conversation so far and what earlier speakers said in this turn
+ */
+export function buildSequentialCouncilMessages(character, characters, messageHistory, userInput, userContext, previousSpeakers = []) {
+  const otherParticipants = characters
+    .filter(char => char.key !== character.key)
+    .map(char => char.name)
+    .join(', ');
+
+  const historyText = formatHistorySection(messageHistory);
+
+  const turnText = previousSpeakers.length > 0
+    ? '\n\nO QUE JÁ FOI DITO NESTA RODADA:\n' + previousSpeakers
+        .map(speaker => `${speaker.characterName}: ${speaker.content}`)
+        .join('\n\n')
+    : '';
+
+  const councilInstructions = `
+CONSELHO EM GRUPO:
+- Você participa de um conselho${otherParticipants ? ` junto com: ${otherParticipants}` : ''}
+- Fale apenas como ${character.name}, em primeira pessoa; nunca escreva falas de outros personagens
+- Complemente o que já foi dito nesta rodada sem repetir, podendo concordar ou discordar com respeito
+- Responda entre 100-300 palavras, sem prefixar a resposta com seu nome`;
+
+  const systemPrompt = `${buildCharacterSystemPrompt(character, userContext)}
+
+${councilInstructions}${historyText}${turnText}`;
+
+  return buildOpenAIMessages(systemPrompt, userInput);
+}
+
+/**
+ * Build prompt asking for follow-up topics after a council turn
+ */
+export function buildSuggestedTopicsPrompt(userInput, turnMessages) {
+  const turnText = turnMessages
+    .map(msg => `${msg.characterName}: ${msg.content}`)
+    .join('\n\n');
+
+  return `Com base na pergunta do usuário e nas respostas do conselho abaixo, sugira até 3 tópicos curtos (máximo 6 palavras cada) para continuar a conversa, em português brasileiro.
+
+PERGUNTA DO USUÁRIO: ${userInput}
+
+RESPOSTAS DO CONSELHO:
+${turnText}
+
+Retorne um JSON válido no formato: {"suggested_topics": ["tópico 1", "tópico 2", "tópico 3"]}`;
+}
+
+/**
+ * Build prompt asking for a rolling summary of older conversation turns
+ */
+export function buildSessionSummaryPrompt(previousSummary, messages) {
+  const transcript = messages.map(formatTranscriptLine).filter(Boolean).join('\n');
+  const previousText = previousSummary
+    ? `RESUMO ANTERIOR:\n${previousSummary}\n\n`
+    : '';
+
+  return `Você mantém a memória de uma conversa entre um usuário e conselheiros (personagens históricos e bíblicos).
+Atualize o resumo incorporando os novos trechos da conversa. O resumo será usado como contexto nas próximas respostas.
+
+REGRAS:
+- Escreva em português brasileiro, em terceira pessoa, no máximo 250 palavras
+- Preserve fatos que o usuário compartilhou, sentimentos, dilemas, decisões tomadas e conselhos marcantes de cada personagem
+- Não invente informações e não inclua diagnósticos
+
+${previousText}NOVOS TRECHOS DA CONVERSA:
+${transcript}
+
+Retorne apenas o texto do resumo atualizado.`;
+}
+
+/**
+ * Build the follow-up messages asking the model to fix a structured response
+ * `problem` describes why the previous answer was rejected (JSON or schema errors).
+ */
+export function buildStructuredRetryMessages(previousContent, problem) {
+  return [
+    {
+      role: 'assistant',
+      content: previousContent || '(resposta vazia)'
+    },
+    {
+      role: 'user',
+      content: `Sua resposta anterior não pôde ser usada: ${problem}
+
+Responda novamente com o JSON completo, válido e seguindo exatamente a estrutura pedida, incluindo todos os personagens. Não escreva nada fora do JSON.`
+    }
+  ];
+}
+
 /**
  * Build messages array for OpenAI API
  */
@@ -0,0 +1,90 @@
+/**
+ * Quota Service
+ * Daily message quotas per user, sized by the plan stored on the user.
+ * A message is reserved before the characters answer and given back if the turn fails.
+ */
+
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Messages (new turns, edits and regenerations) per UTC day
+export const PLAN_DAILY_MESSAGES = {
+  FREE: parseInt(process.env.QUOTA_FREE_DAILY_MESSAGES) || 30,
+  PREMIUM: parseInt(process.env.QUOTA_PREMIUM_DAILY_MESSAGES) || 300
+};
+
+function getDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getNextReset(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function buildQuota(plan, used) {
+  const limit = PLAN_DAILY_MESSAGES[plan] ?? PLAN_DAILY_MESSAGES.FREE;
+
+  return {
+    plan,
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    resetsAt: getNextReset()
+  };
+}
+
+/**
+ * Get today's quota of a user without using it
+ */
+export async function getMessageQuota(userId, plan = 'FREE') {
+  const usage = await prisma.dailyMessageUsage.findUnique({
+    where: { userId_day: { userId, day: getDayKey() } }
+  });
+
+  return buildQuota(plan, usage?.messages || 0);
+}
+
+/**
+ * Reserve one message of today's quota
+ * Returns { allowed, quota }; the increment only happens while below the limit,
+ * so concurrent requests cannot go past it.
+ */
+export async function consumeMessageQuota(userId, plan = 'FREE') {
+  const day = getDayKey();
+  const limit = PLAN_DAILY_MESSAGES[plan] ?? PLAN_DAILY_MESSAGES.FREE;
+
+  await prisma.dailyMessageUsage.upsert({
+    where: { userId_day: { userId, day } },
+    create: { userId, day },
+    update: {}
+  });
+
+  const { count } = await prisma.dailyMessageUsage.updateMany({
+    where: { userId, day, messages: { lt: limit } },
+    data: { messages: { increment: 1 } }
+  });
+
+  const usage = await prisma.dailyMessageUsage.findUnique({
+    where: { userId_day: { userId, day } }
+  });
+
+  return {
+    allowed: count > 0,
+    day,
+    quota: buildQuota(plan, usage?.messages ?? limit)
+  };
+}
+
+/**
+ * Give back a reserved message when the turn was not answered
+ */
+export async function refundMessageQuota(userId, day) {
+  try {
+    await prisma.dailyMessageUsage.updateMany({
+      where: { userId, day, messages: { gt: 0 } },
+      data: { messages: { decrement: 1 } }
+    });
+  } catch (error) {
+    logger.error(`Error refunding message quota for user ${userId}:`, error);
+  }
+}
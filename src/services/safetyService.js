@@ -0,0 +1,116 @@
+/**
+ * Safety Service
+ * Detects self-harm and crisis signals in user messages and answers them with a fixed,
+ * supportive message and Brazilian helplines instead of the character pipeline.
+ * Signals come from the moderation categories and from local Portuguese rules.
+ */
+
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Moderation categories that mean the user may be at risk
+const SELF_HARM_CATEGORIES = ['self-harm', 'self-harm/intent', 'self-harm/instructions'];
+
+// Rules run on lowercase, accent-free text; HIGH means explicit intent or method.
+// A bare "morrer" must not be followed by an idiom such as "morrer de rir", "morrer de
+// vergonha" or "morrer na praia" ("morrer de verdade" still counts).
+const CRISIS_RULES = [
+  { id: 'suicide', level: 'HIGH', pattern: /\b(me suicidar|suicidio|suicida|cometer suicidio)\b/ },
+  { id: 'kill_myself', level: 'HIGH', pattern: /\b(quero|vou|penso em|pensando em|vontade de) (me matar|morrer(?! (de|do|da|na|no|com)\b(?! verdade\b)))\b/ },
+  { id: 'end_my_life', level: 'HIGH', pattern: /\b(tirar|acabar com|por fim (a|na)) (a )?minha (propria )?vida\b/ },
+  { id: 'self_injury', level: 'HIGH', pattern: /\b(me cortar|me cortando|me machucar|me machucando|me ferir|me ferindo|automutilacao)\b/ },
+  { id: 'method', level: 'HIGH', pattern: /\b(tomar todos os remedios|overdose|me enforcar|pular (da|de uma) (ponte|janela|predio))\b/ },
+  { id: 'no_will_to_live', level: 'ELEVATED', pattern: /\b(nao (quero|aguento|consigo) mais viver|cansad[oa] de viver|sem vontade de viver)\b/ },
+  { id: 'wish_to_die', level: 'ELEVATED', pattern: /\b(queria (estar )?morr(er|ido)(?! (de|do|da|na|no|com)\b(?! verdade\b))|melhor se eu (morresse|nao existisse)|queria nao ter nascido)\b/ },
+  { id: 'burden', level: 'ELEVATED', pattern: /\b(ninguem (sentiria|vai sentir) (a )?minha falta|todos (estariam|ficariam) melhor sem mim)\b/ },
+  { id: 'disappear', level: 'ELEVATED', pattern: /\b(sumir (do mundo|para sempre|pra sempre)|desaparecer para sempre)\b/ },
+  { id: 'no_way_out', level: 'ELEVATED', pattern: /\b(nao vejo (mais )?saida|nao tem mais jeito|nao ha mais esperanca)\b/ }
+];
+
+export const SAFETY_RESPONSE = `Sinto muito que você esteja passando por um momento tão difícil. O que você está sentindo importa, e você não precisa passar por isso sem apoio.
+
+Por favor, procure ajuda agora:
+- CVV (Centro de Valorização da Vida): ligue 188, gratuito e 24 horas, ou converse pelo chat em cvv.org.br
+- SAMU: ligue 192 em caso de emergência médica
+- Se você estiver em perigo imediato, vá ao pronto-socorro mais próximo ou ligue 190
+
+Se puder, conte agora para alguém de confiança, como um familiar, amigo ou líder da sua comunidade, como você está. Um CAPS (Centro de Atenção Psicossocial) da sua cidade também pode acompanhar você.
+
+Estou aqui para continuar conversando quando você quiser.`;
+
+export const SAFETY_HELPLINES = [
+  { name: 'CVV - Centro de Valorização da Vida', phone: '188', url: 'https://cvv.org.br', available: '24h' },
+  { name: 'SAMU', phone: '192', available: '24h' },
+  { name: 'Polícia Militar', phone: '190', available: '24h' }
+];
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Assess a user message for self-harm and crisis signals
+ * Returns { crisis, level, categories, matchedRules }.
+ */
+export function assessMessageSafety(text, moderation = null) {
+  const categories = SELF_HARM_CATEGORIES.filter(category => moderation?.categories?.[category]);
+
+  const normalized = normalizeText(text);
+  const matches = CRISIS_RULES.filter(rule => rule.pattern.test(normalized));
+
+  const isHigh = categories.some(category => category !== 'self-harm') ||
+    matches.some(rule => rule.level === 'HIGH');
+  const crisis = categories.length > 0 || matches.length > 0;
+
+  return {
+    crisis,
+    level: crisis ? (isHigh ? 'HIGH' : 'ELEVATED') : null,
+    categories,
+    matchedRules: matches.map(rule => rule.id)
+  };
+}
+
+/**
+ * Record a safety event and answer the user with the supportive response
+ * Returns the NARRATOR message saved in the session.
+ */
+export async function respondToCrisis({ userId, sessionId, userMessageId, assessment }) {
+  const source = assessment.categories.length > 0 && assessment.matchedRules.length > 0
+    ? 'moderation+rules'
+    : assessment.categories.length > 0 ? 'moderation' : 'rules';
+
+  await prisma.safetyEvent.create({
+    data: {
+      userId,
+      sessionId,
+      messageId: userMessageId,
+      level: assessment.level,
+      source,
+      categories: assessment.categories,
+      matchedRules: assessment.matchedRules
+    }
+  });
+
+  const message = await prisma.message.create({
+    data: {
+      sessionId,
+      role: 'NARRATOR',
+      authorName: 'Cuidado',
+      content: SAFETY_RESPONSE,
+      meta: {
+        messageType: 'safety_response',
+        replyTo: userMessageId,
+        variant: 1,
+        level: assessment.level,
+        helplines: SAFETY_HELPLINES
+      }
+    }
+  });
+
+  logger.warn(`Safety pathway used in session ${sessionId} (level ${assessment.level}, source ${source})`);
+
+  return message;
+}
@@ -0,0 +1,241 @@
+/**
+ * Session Export Service
+ * Builds a portable copy of a chat session (the selected branch of the conversation, with
+ * character avatars, decisions and suggested topics) and renders it as JSON, Markdown or PDF.
+ */
+
+import prisma from '../config/database.js';
+import { filterActiveBranch } from './messageBranchService.js';
+import { PDFService } from './pdfService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const MODE_LABELS = {
+  COUNCIL: 'Conselho',
+  DECISION: 'Decisão',
+  DEBATE: 'Debate',
+  MENTOR: 'Mentoria'
+};
+
+const ROLE_LABELS = {
+  USER: 'Você',
+  NARRATOR: 'Narrador',
+  SUMMARY: 'Conselho'
+};
+
+/**
+ * Turn a stored message into an export entry
+ * Suggested topics (SYSTEM messages) become `suggested_topics` entries; decisions and debate
+ * syntheses keep their structured parts.
+ */
+function toExportEntry(message, charactersByKey) {
+  const meta = message.meta || {};
+  const base = {
+    id: message.id,
+    createdAt: message.createdAt
+  };
+
+  if (message.role === 'SYSTEM') {
+    return { ...base, type: 'suggested_topics', topics: meta.suggested_topics || [] };
+  }
+
+  const character = message.authorKey ? charactersByKey.get(message.authorKey) : null;
+  const entry = {
+    ...base,
+    type: meta.messageType || 'message',
+    role: message.role,
+    authorKey: message.authorKey,
+    authorName: message.authorName || character?.name || ROLE_LABELS[message.role] || null,
+    avatarUrl: character?.avatarUrl || null,
+    content: message.content,
+    ...(meta.cancelled && { cancelled: true })
+  };
+
+  if (meta.messageType === 'final_decision') {
+    entry.decision = {
+      title: meta.title || null,
+      rationale: meta.rationale || null,
+      actionSteps: meta.action_steps || []
+    };
+  }
+
+  if (meta.messageType === 'debate_synthesis') {
+    entry.synthesis = {
+      title: meta.title || null,
+      agreements: meta.agreements || [],
+      openQuestions: meta.open_questions || []
+    };
+  }
+
+  return entry;
+}
+
+/**
+ * Load a session of the user as an export document
+ */
+export async function buildSessionExport(sessionId, userId) {
+  const session = await prisma.chatSession.findFirst({
+    where: { id: sessionId, userId },
+    include: {
+      participants: {
+        include: {
+          character: {
+            select: { key: true, name: true, avatarUrl: true }
+          }
+        },
+        orderBy: { orderIndex: 'asc' }
+      }
+    }
+  });
+
+  if (!session) {
+    throw new NotFoundError('Chat session');
+  }
+
+  const storedMessages = await prisma.message.findMany({
+    where: {
+      sessionId,
+      NOT: { // Rolling summaries are model context, not chat messages
+        role: 'SUMMARY',
+        meta: { path: ['messageType'], equals: 'session_summary' }
+      }
+    },
+    orderBy: [
+      { createdAt: 'asc' },
+      { id: 'asc' }
+    ],
+    select: {
+      id: true,
+      role: true,
+      authorKey: true,
+      authorName: true,
+      content: true,
+      meta: true,
+      createdAt: true
+    }
+  });
+
+  // Only suggested topics are kept from the SYSTEM messages
+  const messages = (await filterActiveBranch(storedMessages))
+    .filter(msg => msg.role !== 'SYSTEM' || msg.meta?.suggested_topics?.length > 0);
+
+  // Characters who left the session still show with their avatar
+  const authorKeys = [...new Set(messages.map(msg => msg.authorKey).filter(Boolean))];
+  const characters = await prisma.character.findMany({
+    where: { key: { in: authorKeys } },
+    select: { key: true, name: true, avatarUrl: true }
+  });
+  const charactersByKey = new Map(characters.map(character => [character.key, character]));
+  session.participants.forEach(p => charactersByKey.set(p.character.key, p.character));
+
+  return {
+    session: {
+      id: session.id,
+      title: session.title,
+      mode: session.mode,
+      modeLabel: MODE_LABELS[session.mode] || session.mode,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    },
+    participants: session.participants.map(p => ({
+      key: p.character.key,
+      name: p.character.name,
+      avatarUrl: p.character.avatarUrl
+    })),
+    entries: messages.map(msg => toExportEntry(msg, charactersByKey)),
+    exportedAt: new Date()
+  };
+}
+
+function formatDateTime(date) {
+  return new Date(date).toLocaleString('pt-BR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function quoteMarkdown(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Render an export document as Markdown
+ */
+export function renderSessionMarkdown(document) {
+  const { session, participants, entries } = document;
+  const lines = [
+    `# ${session.title || 'Conversa'}`,
+    '',
+    `**Modo:** ${session.modeLabel}  `,
+    `**Participantes:** ${participants.map(p => p.name).join(', ') || '—'}  `,
+    `**Início:** ${formatDateTime(session.createdAt)}  `,
+    `**Exportado em:** ${formatDateTime(document.exportedAt)}`,
+    '',
+    '---',
+    ''
+  ];
+
+  for (const entry of entries) {
+    if (entry.type === 'suggested_topics') {
+      lines.push(`*Tópicos sugeridos:* ${entry.topics.join(' · ')}`, '');
+      continue;
+    }
+
+    if (entry.decision) {
+      lines.push(`> ### ⚖️ ${entry.decision.title || 'Decisão do conselho'}`, '>');
+      lines.push(quoteMarkdown(entry.content), '>');
+      if (entry.decision.rationale) {
+        lines.push(quoteMarkdown(`**Por quê:** ${entry.decision.rationale}`), '>');
+      }
+      entry.decision.actionSteps.forEach((step, index) => {
+        lines.push(`> ${index + 1}. **${step.title}**${step.description ? ` — ${step.description}` : ''}`);
+      });
+      lines.push('');
+      continue;
+    }
+
+    const avatar = entry.avatarUrl ? `![${entry.authorName}](${entry.avatarUrl}) ` : '';
+    const heading = entry.synthesis?.title ? `${entry.authorName} — ${entry.synthesis.title}` : entry.authorName;
+    lines.push(`### ${avatar}${heading}`);
+    lines.push(`*${formatDateTime(entry.createdAt)}${entry.cancelled ? ' · resposta interrompida' : ''}*`, '');
+    lines.push(entry.content, '');
+
+    if (entry.synthesis?.agreements.length > 0) {
+      lines.push('**Pontos de acordo:**', ...entry.synthesis.agreements.map(item => `- ${item}`), '');
+    }
+    if (entry.synthesis?.openQuestions.length > 0) {
+      lines.push('**Questões em aberto:**', ...entry.synthesis.openQuestions.map(item => `- ${item}`), '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render an export document in the requested format
+ * Returns { body, contentType, filename }.
+ */
+export async function renderSessionExport(document, format, userInfo) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const date = new Date(document.exportedAt).toISOString().split('T')[0];
+  const filename = `conversa-${document.session.id.slice(0, 8)}-${date}.${extension}`;
+
+  if (format === 'json') {
+    return { body: JSON.stringify(document, null, 2), contentType, filename };
+  }
+
+  if (format === 'md') {
+    return { body: renderSessionMarkdown(document), contentType, filename };
+  }
+
+  const body = await PDFService.generateChatSessionPDF(document, userInfo);
+  return { body, contentType, filename };
+}
@@ -0,0 +1,122 @@
+/**
+ * Session Fork Service
+ * Editing a past USER message forks the session: the fork gets the same participants and a
+ * copy of the conversation before the edited message, so the original stays untouched.
+ */
+
+import { randomUUID } from 'crypto';
+import { filterActiveBranch } from './messageBranchService.js';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Rewrite the branch fields of a copied message's meta
+ * Only the active answer of each turn is copied, so every copy becomes variant 1.
+ */
+function remapMeta(meta, role, idMap) {
+  if (!meta) {
+    return meta;
+  }
+
+  const copied = { ...meta };
+
+  if (role === 'USER' && copied.variantCount) {
+    copied.activeVariant = 1;
+    copied.variantCount = 1;
+  }
+
+  if (copied.replyTo) {
+    copied.replyTo = idMap.get(copied.replyTo) || copied.replyTo;
+    copied.variant = 1;
+  }
+
+  return copied;
+}
+
+/**
+ * Fork a session right before one of its USER messages
+ * Returns the new session and the USER message that was edited.
+ */
+export async function forkSessionAtMessage({ session, messageId }) {
+  const editedMessage = await prisma.message.findFirst({
+    where: {
+      id: messageId,
+      sessionId: session.id,
+      role: 'USER'
+    }
+  });
+
+  if (!editedMessage) {
+    return null;
+  }
+
+  const participants = await prisma.chatParticipant.findMany({
+    where: { sessionId: session.id },
+    orderBy: { orderIndex: 'asc' }
+  });
+
+  // Messages before the edited one; rolling summaries are rebuilt by the fork when needed
+  const previousMessages = await filterActiveBranch(await prisma.message.findMany({
+    where: {
+      sessionId: session.id,
+      OR: [
+        { createdAt: { lt: editedMessage.createdAt } },
+        { createdAt: editedMessage.createdAt, id: { lt: editedMessage.id } }
+      ],
+      NOT: {
+        role: 'SUMMARY',
+        meta: { path: ['messageType'], equals: 'session_summary' }
+      }
+    },
+    orderBy: [
+      { createdAt: 'asc' },
+      { id: 'asc' }
+    ]
+  }));
+
+  const idMap = new Map(previousMessages.map(msg => [msg.id, randomUUID()]));
+
+  const fork = await prisma.$transaction(async (tx) => {
+    const forkedSession = await tx.chatSession.create({
+      data: {
+        userId: session.userId,
+        mode: session.mode,
+        generationMode: session.generationMode,
+        debateRounds: session.debateRounds,
+        title: `${session.title || 'Conversa'} (versão editada)`,
+        forkedFromId: session.id,
+        forkedAtMessageId: editedMessage.id
+      }
+    });
+
+    await tx.chatParticipant.createMany({
+      data: participants.map(participant => ({
+        sessionId: forkedSession.id,
+        characterId: participant.characterId,
+        orderIndex: participant.orderIndex
+      }))
+    });
+
+    if (previousMessages.length > 0) {
+      // Keep the original timestamps so history order and pagination match the original
+      await tx.message.createMany({
+        data: previousMessages.map(msg => ({
+          id: idMap.get(msg.id),
+          sessionId: forkedSession.id,
+          role: msg.role,
+          authorKey: msg.authorKey,
+          authorName: msg.authorName,
+          content: msg.content,
+          meta: remapMeta(msg.meta, msg.role, idMap) ?? undefined,
+          createdAt: msg.createdAt
+        }))
+      });
+    }
+
+    return forkedSession;
+  });
+
+  logger.info(`Session ${session.id} forked at message ${editedMessage.id} into ${fork.id} (${previousMessages.length} messages copied)`);
+
+  return { session: fork, editedMessage };
+}
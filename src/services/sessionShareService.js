@@ -0,0 +1,183 @@
+/**
+ * Session Share Service
+ * Read-only links to a chat session. A share is an opaque token that can be revoked and may
+ * expire; the public view shows the conversation without anything about the user.
+ */
+
+import { randomBytes } from 'crypto';
+import prisma from '../config/database.js';
+import { buildSessionExport } from './sessionExportService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+// How the user's messages are signed in a shared conversation
+const SHARED_USER_LABEL = 'Autor da conversa';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function activeShareFilter(now = new Date()) {
+  return {
+    revokedAt: null,
+    OR: [
+      { expiresAt: null },
+      { expiresAt: { gt: now } }
+    ]
+  };
+}
+
+function formatShare(share) {
+  return {
+    id: share.id,
+    token: share.token,
+    sessionId: share.sessionId,
+    ...(share.session && {
+      sessionTitle: share.session.title,
+      sessionMode: share.session.mode
+    }),
+    expiresAt: share.expiresAt,
+    viewCount: share.viewCount,
+    lastViewedAt: share.lastViewedAt,
+    createdAt: share.createdAt
+  };
+}
+
+/**
+ * Create a share link for a session of the user
+ * Without `expiresInDays` the link lasts until it is revoked.
+ */
+export async function createSessionShare(sessionId, userId, { expiresInDays = null } = {}) {
+  const session = await prisma.chatSession.findFirst({
+    where: { id: sessionId, userId },
+    select: { id: true, title: true, mode: true }
+  });
+
+  if (!session) {
+    throw new NotFoundError('Chat session');
+  }
+
+  const share = await prisma.chatShare.create({
+    data: {
+      token: randomBytes(24).toString('base64url'),
+      sessionId,
+      userId,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+    }
+  });
+
+  return formatShare({ ...share, session });
+}
+
+/**
+ * List the user's shares that still work, newest first
+ */
+export async function listActiveShares(userId, { sessionId = null } = {}) {
+  const shares = await prisma.chatShare.findMany({
+    where: {
+      userId,
+      ...(sessionId && { sessionId }),
+      ...activeShareFilter()
+    },
+    include: {
+      session: {
+        select: { title: true, mode: true }
+      }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return shares.map(formatShare);
+}
+
+/**
+ * Revoke a share of the user; the link stops working immediately
+ */
+export async function revokeShare(shareId, userId) {
+  const share = await prisma.chatShare.findFirst({
+    where: { id: shareId, userId, revokedAt: null }
+  });
+
+  if (!share) {
+    throw new NotFoundError('Share');
+  }
+
+  const revoked = await prisma.chatShare.update({
+    where: { id: shareId },
+    data: { revokedAt: new Date() }
+  });
+
+  return formatShare(revoked);
+}
+
+// Support responses to a crisis would tell the reader about it, so shares leave them out
+const PRIVATE_ENTRY_TYPES = ['safety_response'];
+
+/**
+ * Keep only what a reader of the conversation needs: no ids or keys, and no metadata of
+ * any message (moderation results, targets, edits)
+ */
+function toPublicEntry(entry) {
+  if (entry.type === 'suggested_topics') {
+    return { type: entry.type, topics: entry.topics, createdAt: entry.createdAt };
+  }
+
+  if (entry.role === 'USER') {
+    return {
+      type: 'message',
+      role: 'USER',
+      authorName: SHARED_USER_LABEL,
+      content: entry.content,
+      createdAt: entry.createdAt
+    };
+  }
+
+  return {
+    type: entry.type,
+    role: entry.role,
+    authorName: entry.authorName,
+    avatarUrl: entry.avatarUrl,
+    content: entry.content,
+    createdAt: entry.createdAt,
+    ...(entry.cancelled && { cancelled: true }),
+    ...(entry.decision && { decision: entry.decision }),
+    ...(entry.synthesis && { synthesis: entry.synthesis })
+  };
+}
+
+/**
+ * Load the conversation behind a share token
+ * Unknown, revoked and expired tokens all answer NotFoundError, so a link reveals nothing once
+ * it stops working.
+ */
+export async function getSharedSession(token) {
+  const share = await prisma.chatShare.findFirst({
+    where: { token, ...activeShareFilter() }
+  });
+
+  if (!share) {
+    throw new NotFoundError('Shared conversation');
+  }
+
+  const document = await buildSessionExport(share.sessionId, share.userId);
+
+  await prisma.chatShare.update({
+    where: { id: share.id },
+    data: {
+      viewCount: { increment: 1 },
+      lastViewedAt: new Date()
+    }
+  });
+
+  return {
+    session: {
+      title: document.session.title,
+      mode: document.session.mode,
+      modeLabel: document.session.modeLabel,
+      createdAt: document.session.createdAt
+    },
+    participants: document.participants.map(({ name, avatarUrl }) => ({ name, avatarUrl })),
+    messages: document.entries
+      .filter(entry => !PRIVATE_ENTRY_TYPES.includes(entry.type))
+      .map(toPublicEntry),
+    expiresAt: share.expiresAt,
+    sharedAt: share.createdAt
+  };
+}
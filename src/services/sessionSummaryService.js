@@ -0,0 +1,170 @@
+/**
+ * Session Summary Service
+ * Keeps long conversations within the prompt budget with rolling SUMMARY messages.
+ * Prompt history is the latest summary plus the most recent turns that fit the token budget.
+ */
+
+import { createTextCompletion } from '../config/llm.js';
+import { buildSessionSummaryPrompt, formatTranscriptLine } from './promptBuilder.js';
+import { filterActiveBranch } from './messageBranchService.js';
+import { attributeUsage } from './usageService.js';
+import { estimateTokens, takeLatestWithinBudget } from '../utils/tokens.js';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Unsummarized messages that trigger a new summary
+const SUMMARY_TRIGGER_MESSAGES = parseInt(process.env.CHAT_SUMMARY_TRIGGER) || 24;
+// Most recent messages always kept verbatim when summarizing
+const SUMMARY_KEEP_RECENT = parseInt(process.env.CHAT_SUMMARY_KEEP_RECENT) || 8;
+// Token budget for summary + recent turns in each prompt
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 3000;
+// Upper bound of recent messages loaded before budgeting
+const HISTORY_FETCH_LIMIT = 60;
+
+// Sessions currently being summarized in this process
+const summarizing = new Set();
+
+/**
+ * Where clause for conversation messages written after the given summary
+ */
+function buildPendingWhere(sessionId, summary) {
+  const where = {
+    sessionId,
+    role: { not: 'SYSTEM' },
+    NOT: {
+      role: 'SUMMARY',
+      meta: { path: ['messageType'], equals: 'session_summary' }
+    }
+  };
+
+  if (summary?.meta?.coveredUntil) {
+    where.createdAt = { gt: new Date(summary.meta.coveredUntil) };
+  }
+
+  return where;
+}
+
+/**
+ * Get the most recent rolling summary of a session
+ */
+export async function getLatestSessionSummary(sessionId) {
+  return prisma.message.findFirst({
+    where: {
+      sessionId,
+      role: 'SUMMARY',
+      meta: { path: ['messageType'], equals: 'session_summary' }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Build the message history sent to the model
+ * Returns the latest summary (if any) followed by the newest turns that fit the budget.
+ */
+export async function buildPromptHistory(sessionId, { excludeMessageIds = [], tokenBudget = HISTORY_TOKEN_BUDGET } = {}) {
+  const summary = await getLatestSessionSummary(sessionId);
+
+  const where = buildPendingWhere(sessionId, summary);
+  if (excludeMessageIds.length > 0) {
+    where.id = { notIn: excludeMessageIds };
+  }
+
+  const fetchedMessages = await prisma.message.findMany({
+    where,
+    orderBy: [
+      { createdAt: 'desc' },
+      { id: 'desc' }
+    ],
+    take: HISTORY_FETCH_LIMIT
+  });
+  fetchedMessages.reverse();
+
+  // Answers the user replaced by regenerating are not part of the conversation
+  const recentMessages = await filterActiveBranch(fetchedMessages);
+
+  const summaryTokens = summary ? estimateTokens(summary.content) : 0;
+  const recentTurns = takeLatestWithinBudget(
+    recentMessages,
+    Math.max(tokenBudget - summaryTokens, 0),
+    formatTranscriptLine
+  );
+
+  return summary ? [summary, ...recentTurns] : recentTurns;
+}
+
+/**
+ * Summarize older turns once enough unsummarized messages have accumulated
+ * Returns the new SUMMARY message, or null when no summary was needed.
+ */
+export async function maybeSummarizeSession(sessionId, userId = null) {
+  if (summarizing.has(sessionId)) {
+    return null;
+  }
+  summarizing.add(sessionId);
+
+  try {
+    const previousSummary = await getLatestSessionSummary(sessionId);
+
+    const pendingMessages = await filterActiveBranch(await prisma.message.findMany({
+      where: buildPendingWhere(sessionId, previousSummary),
+      orderBy: [
+        { createdAt: 'asc' },
+        { id: 'asc' }
+      ]
+    }));
+
+    if (pendingMessages.length < SUMMARY_TRIGGER_MESSAGES) {
+      return null;
+    }
+
+    const messagesToSummarize = pendingMessages.slice(0, -SUMMARY_KEEP_RECENT);
+    const lastCovered = messagesToSummarize[messagesToSummarize.length - 1];
+
+    logger.info(`Summarizing ${messagesToSummarize.length} messages of session ${sessionId}`);
+
+    const usageContext = { userId, sessionId, operation: 'summary', usageRecords: [] };
+    const completion = await createTextCompletion({
+      messages: [{
+        role: 'user',
+        content: buildSessionSummaryPrompt(previousSummary?.content, messagesToSummarize)
+      }],
+      temperature: 0.3,
+      maxTokens: 500,
+      usageContext
+    });
+
+    const content = completion.choices[0]?.message?.content?.trim();
+    if (!content) {
+      logger.warn(`Empty summary returned for session ${sessionId}`);
+      return null;
+    }
+
+    const summaryMessage = await prisma.message.create({
+      data: {
+        sessionId,
+        role: 'SUMMARY',
+        authorName: 'Resumo',
+        content,
+        meta: {
+          messageType: 'session_summary',
+          coveredUntil: lastCovered.createdAt.toISOString(),
+          coveredMessageId: lastCovered.id,
+          previousSummaryId: previousSummary?.id || null,
+          summarizedCount: messagesToSummarize.length
+        }
+      }
+    });
+
+    attributeUsage(usageContext, [summaryMessage.id]);
+
+    logger.info(`Session summary created for session ${sessionId}: ${summaryMessage.id}`);
+    return summaryMessage;
+
+  } catch (error) {
+    logger.error(`Error summarizing session ${sessionId}:`, error);
+    return null;
+  } finally {
+    summarizing.delete(sessionId);
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Structured Output Service
+ * Turns the model's JSON answers into validated payloads: repairs near-valid JSON, asks the
+ * model again with the validation problem, salvages what it can, and counts how often each
+ * of those paths is taken (reported in /api/health/details).
+ */
+
+import { parseJsonWithRepair } from '../utils/jsonRepair.js';
+import { buildStructuredRetryMessages } from './promptBuilder.js';
+import { OpenAIError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// New requests allowed per structured response after the first one; 0 disables retries
+const MAX_RETRIES = parseRetryBudget(process.env.LLM_STRUCTURED_MAX_RETRIES);
+
+const OUTCOMES = ['valid', 'repaired', 'retries', 'recoveredByRetry', 'salvaged', 'missingCharacters', 'failed'];
+
+// Counters since the process started, per operation (council, decision, debate)
+const metrics = {
+  since: new Date(),
+  operations: {}
+};
+
+function parseRetryBudget(value) {
+  const retries = parseInt(value);
+  return Number.isNaN(retries) || retries < 0 ? 2 : retries;
+}
+
+function countOutcome(operation, outcome, amount = 1) {
+  if (!metrics.operations[operation]) {
+    metrics.operations[operation] = Object.fromEntries(OUTCOMES.map(name => [name, 0]));
+  }
+  metrics.operations[operation][outcome] += amount;
+}
+
+/**
+ * Count characters that had to be generated on their own because a response left them out
+ */
+export function recordMissingCharacters(operation, count) {
+  countOutcome(operation, 'missingCharacters', count);
+}
+
+/**
+ * Counters of every recovery path, in total and per operation
+ */
+export function getStructuredOutputMetrics() {
+  const totals = Object.fromEntries(OUTCOMES.map(name => [name, 0]));
+  for (const counters of Object.values(metrics.operations)) {
+    for (const name of OUTCOMES) {
+      totals[name] += counters[name];
+    }
+  }
+
+  return {
+    since: metrics.since.toISOString(),
+    maxRetries: MAX_RETRIES,
+    totals,
+    operations: metrics.operations
+  };
+}
+
+function describeIssues(zodError) {
+  return zodError.issues
+    .slice(0, 5)
+    .map(issue => `${issue.path.join('.') || 'raiz'}: ${issue.message}`)
+    .join('; ');
+}
+
+/**
+ * Parse, repair and validate one answer
+ * Returns { data, repaired } when valid, otherwise { raw, problem } where `raw` is the parsed
+ * value (if any) and `problem` explains the rejection to the model.
+ */
+function validateContent(content, schema, prepare) {
+  const parsed = parseJsonWithRepair(content);
+  if (!parsed) {
+    return { problem: 'o texto não é um JSON válido.' };
+  }
+
+  const value = prepare(parsed.value);
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    return {
+      raw: value,
+      problem: `o JSON não segue a estrutura pedida (${describeIssues(result.error)}).`
+    };
+  }
+
+  return { data: result.data, repaired: parsed.repaired };
+}
+
+/**
+ * Validate a structured response, recovering it when it is malformed
+ * In order: plain parse, JSON repair, up to LLM_STRUCTURED_MAX_RETRIES new requests with the
+ * problem fed back (`regenerate(feedbackMessages)` returns the new content), and finally
+ * `salvage(raw)`, which may build a valid payload from the last parseable answer or return null.
+ * `prepare(raw)` fills defaults before validation. Throws OpenAIError when nothing works.
+ */
+export async function recoverStructuredOutput({ content, schema, operation, prepare = value => value, regenerate, salvage = null }) {
+  let current = content;
+  let lastRaw;
+
+  for (let attempt = 0; ; attempt++) {
+    const result = validateContent(current, schema, prepare);
+
+    if (result.data) {
+      countOutcome(operation, attempt > 0 ? 'recoveredByRetry' : result.repaired ? 'repaired' : 'valid');
+      if (attempt > 0 || result.repaired) {
+        logger.info(`Recovered ${operation} structured response after ${attempt} retries${result.repaired ? ' and JSON repair' : ''}`);
+      }
+      return result.data;
+    }
+
+    lastRaw = result.raw ?? lastRaw;
+    logger.warn(`Invalid ${operation} structured response (attempt ${attempt + 1}): ${result.problem}`);
+
+    if (attempt >= MAX_RETRIES) {
+      break;
+    }
+
+    countOutcome(operation, 'retries');
+    current = await regenerate(buildStructuredRetryMessages(current, result.problem));
+  }
+
+  const salvaged = lastRaw !== undefined && salvage ? salvage(lastRaw) : null;
+  if (salvaged) {
+    countOutcome(operation, 'salvaged');
+    logger.warn(`Salvaged the valid parts of an invalid ${operation} structured response`);
+    return salvaged;
+  }
+
+  countOutcome(operation, 'failed');
+  throw new OpenAIError('Failed to get structured response from AI');
+}
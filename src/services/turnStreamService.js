@@ -0,0 +1,173 @@
+/**
+ * Turn Stream Service
+ * Keeps the SSE events of each streamed turn so a client that drops the connection can
+ * reconnect with Last-Event-ID and receive what it missed. Event IDs are "<streamId>:<seq>".
+ * Streams live in memory in this process and are kept for a short while after the turn ends.
+ * A turn left without clients for longer than the grace period is reported as abandoned.
+ */
+
+import { randomUUID } from 'crypto';
+import { openSSEConnection, formatSSEEvent } from '../utils/sse.js';
+import { DISCONNECT_GRACE_MS } from './activeTurnService.js';
+import logger from '../utils/logger.js';
+
+// How long a finished turn can still be replayed
+const STREAM_RETENTION_MS = parseInt(process.env.SSE_REPLAY_RETENTION_MS) || 2 * 60 * 1000;
+
+// streamId -> TurnStream
+const streams = new Map();
+// sessionId -> streamId of the latest turn
+const latestBySession = new Map();
+
+class TurnStream {
+  constructor({ sessionId, userId, userMessageId, variant, onAbandoned }) {
+    this.id = randomUUID();
+    this.sessionId = sessionId;
+    this.userId = userId;
+    this.userMessageId = userMessageId;
+    this.variant = variant;
+    this.events = [];
+    this.clients = new Set();
+    this.finished = false;
+    this.onAbandoned = onAbandoned;
+    this.abandonTimer = null;
+  }
+
+  /**
+   * Number, buffer and deliver an event to every connected client
+   */
+  pushEvent(payload) {
+    if (this.finished) {
+      return;
+    }
+
+    const event = formatSSEEvent(payload, `${this.id}:${this.events.length + 1}`);
+    this.events.push(event);
+
+    for (const client of this.clients) {
+      client.write(event);
+    }
+  }
+
+  /**
+   * Send the stored events after `lastSeq` and keep the client attached until the turn ends
+   */
+  attach(res, lastSeq = 0) {
+    openSSEConnection(res);
+    res.write(formatSSEEvent({
+      type: 'connected',
+      streamId: this.id,
+      userMessageId: this.userMessageId,
+      variant: this.variant
+    }));
+
+    for (const event of this.events.slice(lastSeq)) {
+      res.write(event);
+    }
+
+    if (this.finished) {
+      res.end();
+      return;
+    }
+
+    clearTimeout(this.abandonTimer);
+    this.clients.add(res);
+    res.on('close', () => {
+      this.clients.delete(res);
+      this.watchAbandonment();
+    });
+  }
+
+  /**
+   * Call onAbandoned when the turn is still running and no client came back in time
+   */
+  watchAbandonment() {
+    if (this.finished || this.clients.size > 0 || !this.onAbandoned) {
+      return;
+    }
+
+    clearTimeout(this.abandonTimer);
+    this.abandonTimer = setTimeout(() => {
+      if (!this.finished && this.clients.size === 0) {
+        logger.debug(`Turn stream ${this.id} abandoned by its clients`);
+        this.onAbandoned();
+      }
+    }, DISCONNECT_GRACE_MS);
+    this.abandonTimer.unref();
+  }
+
+  /**
+   * End the turn: send the close event, end every connection and keep the events for replay
+   */
+  close() {
+    if (this.finished) {
+      return;
+    }
+
+    this.pushEvent({ type: 'close' });
+    this.finished = true;
+    clearTimeout(this.abandonTimer);
+
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+
+    setTimeout(() => removeTurnStream(this), STREAM_RETENTION_MS).unref();
+  }
+}
+
+function removeTurnStream(stream) {
+  streams.delete(stream.id);
+  if (latestBySession.get(stream.sessionId) === stream.id) {
+    latestBySession.delete(stream.sessionId);
+  }
+}
+
+/**
+ * Start a resumable stream for a turn and attach the requesting client to it
+ * `onAbandoned` runs when every client stayed away for the grace period while the turn ran.
+ */
+export function openTurnStream(res, { sessionId, userId, userMessageId = null, variant = 1, onAbandoned = null }) {
+  const stream = new TurnStream({ sessionId, userId, userMessageId, variant, onAbandoned });
+
+  streams.set(stream.id, stream);
+  latestBySession.set(sessionId, stream.id);
+  stream.attach(res);
+
+  logger.debug(`Turn stream ${stream.id} opened for session ${sessionId}`);
+  return stream;
+}
+
+/**
+ * Parse a Last-Event-ID header ("<streamId>:<seq>")
+ */
+export function parseLastEventId(lastEventId) {
+  if (!lastEventId) {
+    return null;
+  }
+
+  const separator = lastEventId.lastIndexOf(':');
+  const seq = parseInt(lastEventId.slice(separator + 1));
+  if (separator <= 0 || Number.isNaN(seq) || seq < 0) {
+    return null;
+  }
+
+  return { streamId: lastEventId.slice(0, separator), seq };
+}
+
+/**
+ * Find the stream a client should resume: the one named in Last-Event-ID, or the latest
+ * turn of the session. Returns { stream, lastSeq } or null when nothing can be replayed.
+ */
+export function findTurnStream(sessionId, userId, lastEventId = null) {
+  const resumeFrom = parseLastEventId(lastEventId);
+  const streamId = resumeFrom?.streamId || latestBySession.get(sessionId);
+  const stream = streamId ? streams.get(streamId) : null;
+
+  if (!stream || stream.sessionId !== sessionId || stream.userId !== userId) {
+    return null;
+  }
+
+  return { stream, lastSeq: resumeFrom?.seq || 0 };
+}
@@ -0,0 +1,216 @@
+/**
+ * Usage Service
+ * Records the tokens and estimated cost of every model call, and keeps running totals
+ * per session and per user month.
+ */
+
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// USD per million tokens; dated model names ("gpt-4o-mini-2024-07-18") match by prefix
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'mock': { input: 0, output: 0 }
+};
+
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+// Models already reported as missing from the price table
+const unpricedModels = new Set();
+
+function findPrice(model) {
+  if (MODEL_PRICES[model]) {
+    return MODEL_PRICES[model];
+  }
+
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Estimate the cost in USD of a call; unknown models cost 0 and are logged once
+ */
+export function estimateCost(model, promptTokens, completionTokens) {
+  const price = findPrice(model);
+
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(`No price configured for model ${model}; its usage is recorded with cost 0`);
+    }
+    return 0;
+  }
+
+  const cost = (promptTokens * price.input + completionTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function getMonthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Persist the usage of one model call and add it to the session and monthly totals
+ * Never throws: accounting must not break a reply.
+ */
+export async function recordUsage({ userId = null, sessionId = null, messageId = null, operation = 'other', model, usage }) {
+  try {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const estimatedCost = estimateCost(model, promptTokens, completionTokens);
+
+    const record = await prisma.usageRecord.create({
+      data: {
+        userId,
+        sessionId,
+        messageId,
+        operation,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+        estimatedCost
+      }
+    });
+
+    if (sessionId) {
+      // updateMany so a session deleted mid-turn does not raise
+      await prisma.chatSession.updateMany({
+        where: { id: sessionId },
+        data: {
+          promptTokens: { increment: promptTokens },
+          completionTokens: { increment: completionTokens },
+          estimatedCost: { increment: estimatedCost }
+        }
+      });
+    }
+
+    if (userId) {
+      await prisma.userMonthlyUsage.upsert({
+        where: {
+          userId_month: { userId, month: getMonthKey(record.createdAt) }
+        },
+        create: {
+          userId,
+          month: getMonthKey(record.createdAt),
+          requests: 1,
+          promptTokens,
+          completionTokens,
+          estimatedCost
+        },
+        update: {
+          requests: { increment: 1 },
+          promptTokens: { increment: promptTokens },
+          completionTokens: { increment: completionTokens },
+          estimatedCost: { increment: estimatedCost }
+        }
+      });
+    }
+
+    return record;
+  } catch (error) {
+    logger.error(`Error recording ${operation} usage for model ${model}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Attribute the calls collected in `usageContext.usageRecords` to the messages they produced
+ * Calls finish before their messages are saved, so the link is made once the messages exist.
+ * Takes the records collected so far, letting one context attribute its calls in steps. Never
+ * throws.
+ */
+export async function attributeUsage(usageContext, messageIds) {
+  const pendingRecords = usageContext.usageRecords?.splice(0) || [];
+  const producedMessageIds = messageIds.filter(Boolean);
+
+  if (pendingRecords.length === 0 || producedMessageIds.length === 0) {
+    return;
+  }
+
+  try {
+    const records = (await Promise.all(pendingRecords)).filter(Boolean);
+    if (records.length === 0) {
+      return;
+    }
+
+    await prisma.usageRecord.updateMany({
+      where: { id: { in: records.map(record => record.id) } },
+      data: { producedMessageIds }
+    });
+  } catch (error) {
+    logger.error('Error attributing usage to produced messages:', error);
+  }
+}
+
+function formatTotals(group) {
+  const promptTokens = group._sum.promptTokens || 0;
+  const completionTokens = group._sum.completionTokens || 0;
+
+  return {
+    requests: group._count._all,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimatedCost: Math.round((group._sum.estimatedCost || 0) * 1e6) / 1e6
+  };
+}
+
+/**
+ * Summarize a user's usage between two dates, by operation, by model and by month
+ */
+export async function getUsageReport(userId, { from, to }) {
+  const where = {
+    userId,
+    createdAt: { gte: from, lte: to }
+  };
+  const aggregate = {
+    where,
+    _sum: { promptTokens: true, completionTokens: true, estimatedCost: true },
+    _count: { _all: true }
+  };
+
+  const [totals, byOperation, byModel, months] = await Promise.all([
+    prisma.usageRecord.aggregate(aggregate),
+    prisma.usageRecord.groupBy({ by: ['operation'], ...aggregate }),
+    prisma.usageRecord.groupBy({ by: ['model'], ...aggregate }),
+    prisma.userMonthlyUsage.findMany({
+      where: {
+        userId,
+        month: { gte: getMonthKey(from), lte: getMonthKey(to) }
+      },
+      orderBy: { month: 'asc' }
+    })
+  ]);
+
+  return {
+    from,
+    to,
+    totals: formatTotals(totals),
+    byOperation: byOperation
+      .map(group => ({ operation: group.operation, ...formatTotals(group) }))
+      .sort((a, b) => b.estimatedCost - a.estimatedCost),
+    byModel: byModel
+      .map(group => ({ model: group.model, ...formatTotals(group) }))
+      .sort((a, b) => b.estimatedCost - a.estimatedCost),
+    months: months.map(month => ({
+      month: month.month,
+      requests: month.requests,
+      promptTokens: month.promptTokens,
+      completionTokens: month.completionTokens,
+      totalTokens: month.promptTokens + month.completionTokens,
+      estimatedCost: Math.round(month.estimatedCost * 1e6) / 1e6
+    }))
+  };
+}
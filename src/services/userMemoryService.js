@@ -0,0 +1,293 @@
+/**
+ * User Memory Service
+ * Long-term, cross-session memory about the user built from chat messages, diary entries
+ * and decisions. Memories are retrieved by keyword overlap with the current question.
+ */
+
+import { createStructuredResponse, MEMORY_EXTRACTION_SCHEMA } from '../config/llm.js';
+import { memoryExtractionResponseSchema } from '../utils/zodValidation.js';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Memories kept per user; the oldest unused ones are dropped beyond this
+const MAX_MEMORIES_PER_USER = parseInt(process.env.USER_MEMORY_LIMIT) || 200;
+// Memories injected in each prompt
+const RETRIEVAL_LIMIT = parseInt(process.env.USER_MEMORY_RETRIEVAL_LIMIT) || 6;
+// Shorter texts rarely carry anything worth remembering
+const MIN_EXTRACTION_LENGTH = 20;
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+const STOPWORDS = new Set([
+  'que', 'para', 'com', 'uma', 'por', 'mais', 'como', 'mas', 'foi', 'ele', 'ela', 'das', 'dos',
+  'tem', 'seu', 'sua', 'ou', 'ser', 'quando', 'muito', 'nos', 'já', 'eu', 'também', 'só', 'pelo',
+  'pela', 'até', 'isso', 'entre', 'era', 'depois', 'sem', 'mesmo', 'aos', 'ter', 'seus', 'quem',
+  'nas', 'esse', 'eles', 'estão', 'você', 'tinha', 'foram', 'essa', 'num', 'nem', 'suas', 'meu',
+  'minha', 'têm', 'numa', 'pelos', 'elas', 'havia', 'seja', 'qual', 'será', 'nós', 'tenho', 'lhe',
+  'deles', 'essas', 'esses', 'pelas', 'este', 'fosse', 'dele', 'estou', 'está', 'sobre', 'meus',
+  'minhas', 'não', 'sim', 'porque', 'então', 'ainda', 'agora', 'sempre', 'nunca', 'fazer', 'posso'
+].map(stripAccents));
+
+/**
+ * Split text into normalized, accent-free terms useful for matching
+ */
+export function extractTerms(text) {
+  return stripAccents(String(text || '').toLowerCase())
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length >= 3 && !STOPWORDS.has(term));
+}
+
+function normalizeContent(content) {
+  return extractTerms(content).join(' ');
+}
+
+function buildMemoryExtractionPrompt(text, existingMemories) {
+  const knownText = existingMemories.length > 0
+    ? `\n\nJÁ REGISTRADO (não repita):\n${existingMemories.map(memory => `- ${memory.content}`).join('\n')}`
+    : '';
+
+  return `Você registra memórias de longo prazo sobre um usuário de um app de aconselhamento, para que conselheiros lembrem dele em conversas futuras.
+
+A partir do texto do usuário abaixo, extraia no máximo 3 memórias:
+- FACT: fatos duradouros que o usuário compartilhou sobre a própria vida (família, trabalho, fé, eventos marcantes)
+- STRUGGLE: dificuldades ou dores que ele está enfrentando
+
+REGRAS:
+- Escreva cada memória em português brasileiro, em terceira pessoa, com no máximo 25 palavras
+- Inclua até 6 palavras-chave curtas por memória
+- Ignore cumprimentos, perguntas genéricas e detalhes passageiros
+- Não registre diagnósticos nem dados sensíveis como documentos, endereços ou telefones
+- Se não houver nada relevante, retorne uma lista vazia${knownText}
+
+TEXTO DO USUÁRIO:
+${text}`;
+}
+
+/**
+ * Drop the least recently used memories above the per-user limit
+ */
+async function enforceMemoryLimit(userId) {
+  const count = await prisma.userMemory.count({ where: { userId } });
+  if (count <= MAX_MEMORIES_PER_USER) {
+    return;
+  }
+
+  const overflow = await prisma.userMemory.findMany({
+    where: { userId },
+    orderBy: [
+      { lastUsedAt: { sort: 'asc', nulls: 'first' } },
+      { createdAt: 'asc' }
+    ],
+    take: count - MAX_MEMORIES_PER_USER,
+    select: { id: true }
+  });
+
+  await prisma.userMemory.deleteMany({
+    where: { id: { in: overflow.map(memory => memory.id) } }
+  });
+}
+
+/**
+ * Extract and store memories from something the user wrote
+ * Returns the memories created; failures are logged and yield an empty list.
+ */
+export async function extractMemoriesFromText({ userId, text, source, sourceId = null, sessionId = null }) {
+  try {
+    if (!text || text.trim().length < MIN_EXTRACTION_LENGTH) {
+      return [];
+    }
+
+    const existingMemories = await prisma.userMemory.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: 30,
+      select: { content: true }
+    });
+
+    const completion = await createStructuredResponse({
+      messages: [{ role: 'user', content: buildMemoryExtractionPrompt(text, existingMemories) }],
+      responseFormat: MEMORY_EXTRACTION_SCHEMA,
+      temperature: 0.2,
+      maxTokens: 400,
+      usageContext: { userId, sessionId, messageId: source === 'chat' ? sourceId : null, operation: 'memory' }
+    });
+
+    const content = completion.choices[0]?.message?.content;
+    if (!content) {
+      return [];
+    }
+
+    const { memories } = memoryExtractionResponseSchema.parse(JSON.parse(content));
+    const knownContents = new Set(existingMemories.map(memory => normalizeContent(memory.content)));
+
+    const created = [];
+    for (const memory of memories) {
+      const normalized = normalizeContent(memory.content);
+      if (!normalized || knownContents.has(normalized)) {
+        continue;
+      }
+      knownContents.add(normalized);
+
+      created.push(await prisma.userMemory.create({
+        data: {
+          userId,
+          kind: memory.kind,
+          content: memory.content.trim(),
+          keywords: [...new Set([...memory.keywords.flatMap(extractTerms), ...extractTerms(memory.content)])],
+          source,
+          sourceId,
+          sessionId
+        }
+      }));
+    }
+
+    if (created.length > 0) {
+      logger.info(`Stored ${created.length} memories for user ${userId} from ${source}`);
+      await enforceMemoryLimit(userId);
+    }
+
+    return created;
+  } catch (error) {
+    logger.error(`Error extracting memories for user ${userId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Store the outcome of a DECISION session as a memory
+ */
+export async function rememberDecision({ userId, sessionId, messageId, decision }) {
+  try {
+    const memory = await prisma.userMemory.create({
+      data: {
+        userId,
+        kind: 'DECISION',
+        content: `${decision.title}: ${decision.content}`.slice(0, 500),
+        keywords: [...new Set(extractTerms(`${decision.title} ${decision.content}`))].slice(0, 20),
+        source: 'decision',
+        sourceId: messageId,
+        sessionId
+      }
+    });
+
+    await enforceMemoryLimit(userId);
+    return memory;
+  } catch (error) {
+    logger.error(`Error storing decision memory for user ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Find the memories most related to the current question
+ * Scores keyword overlap and falls back to recent struggles and decisions.
+ */
+export async function retrieveRelevantMemories(userId, query, limit = RETRIEVAL_LIMIT) {
+  const memories = await prisma.userMemory.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_MEMORIES_PER_USER
+  });
+
+  if (memories.length === 0) {
+    return [];
+  }
+
+  const queryTerms = new Set(extractTerms(query));
+
+  const scored = memories.map((memory, index) => {
+    const memoryTerms = new Set([...memory.keywords, ...extractTerms(memory.content)]);
+    const overlap = [...queryTerms].filter(term => memoryTerms.has(term)).length;
+    // Small recency bonus breaks ties in favour of newer memories
+    const recency = 1 - index / memories.length;
+    return { memory, score: overlap + recency * 0.5 };
+  });
+
+  let selected = scored
+    .filter(item => item.score >= 1)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(item => item.memory);
+
+  if (selected.length === 0) {
+    // Nothing matched: keep ongoing struggles and recent decisions in view
+    selected = memories
+      .filter(memory => memory.kind !== 'FACT')
+      .slice(0, Math.ceil(limit / 2));
+  }
+
+  if (selected.length > 0) {
+    await prisma.userMemory.updateMany({
+      where: { id: { in: selected.map(memory => memory.id) } },
+      data: { lastUsedAt: new Date() }
+    });
+  }
+
+  return selected;
+}
+
+/**
+ * Count a user's memories, optionally of one kind
+ */
+export async function countUserMemories(userId, kind) {
+  return prisma.userMemory.count({ where: { userId, ...(kind && { kind }) } });
+}
+
+/**
+ * List a user's memories, newest first
+ */
+export async function listUserMemories(userId, { kind, offset = 0, limit = 20 } = {}) {
+  return prisma.userMemory.findMany({
+    where: { userId, ...(kind && { kind }) },
+    orderBy: { createdAt: 'desc' },
+    skip: offset,
+    take: limit
+  });
+}
+
+/**
+ * Update a memory owned by the user
+ * Returns null when the memory does not exist or belongs to someone else.
+ */
+export async function updateUserMemory(userId, memoryId, { content, kind }) {
+  const memory = await prisma.userMemory.findFirst({
+    where: { id: memoryId, userId }
+  });
+
+  if (!memory) {
+    return null;
+  }
+
+  return prisma.userMemory.update({
+    where: { id: memoryId },
+    data: {
+      ...(kind && { kind }),
+      ...(content && {
+        content: content.trim(),
+        keywords: [...new Set(extractTerms(content))]
+      })
+    }
+  });
+}
+
+/**
+ * Delete a memory owned by the user
+ * Returns false when the memory does not exist or belongs to someone else.
+ */
+export async function deleteUserMemory(userId, memoryId) {
+  const { count } = await prisma.userMemory.deleteMany({
+    where: { id: memoryId, userId }
+  });
+
+  return count > 0;
+}
+
+/**
+ * Forget everything remembered about the user
+ */
+export async function deleteAllUserMemories(userId) {
+  const { count } = await prisma.userMemory.deleteMany({ where: { userId } });
+  return count;
+}
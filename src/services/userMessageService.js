@@ -0,0 +1,76 @@
+/**
+ * User Message Service
+ * Screens what the user sends before it is saved: moderation, crisis signals and the
+ * characters the message is addressed to. Shared by the HTTP and WebSocket transports.
+ */
+
+import { moderateContent } from '../config/llm.js';
+import { assessMessageSafety } from './safetyService.js';
+import { ValidationError } from '../utils/errors.js';
+import prisma from '../config/database.js';
+
+/**
+ * Resolve which characters a COUNCIL message is addressed to
+ * Explicit `targets` must be participants; "@key" mentions in the content are matched
+ * leniently (case and accents ignored) and unknown mentions are left as plain text.
+ * Returns null when the whole council should answer.
+ */
+async function resolveMessageTargets(session, content, targets) {
+  const mentions = [...content.matchAll(/@([\p{L}\d-]+)/gu)]
+    .map(match => match[1].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase());
+
+  if (!targets && mentions.length === 0) {
+    return null;
+  }
+
+  if (session.mode !== 'COUNCIL') {
+    if (targets) {
+      throw new ValidationError('Addressing specific characters is only available in council sessions');
+    }
+    return null;
+  }
+
+  const participants = await prisma.chatParticipant.findMany({
+    where: { sessionId: session.id },
+    include: { character: { select: { key: true } } },
+    orderBy: { orderIndex: 'asc' }
+  });
+  const participantKeys = participants.map(p => p.character.key);
+
+  if (targets) {
+    const unknownKeys = targets.filter(key => !participantKeys.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new ValidationError(`Characters not in this session: ${unknownKeys.join(', ')}`);
+    }
+    return participantKeys.filter(key => targets.includes(key));
+  }
+
+  const mentioned = participantKeys.filter(key => mentions.includes(key));
+  return mentioned.length > 0 ? mentioned : null;
+}
+
+/**
+ * Check a user message before saving it
+ * Returns { safety, meta } with the meta of the new USER message; throws a ValidationError
+ * when moderation rejects it. Users in distress get support instead of a rejection.
+ */
+export async function screenUserMessage(session, content, targets) {
+  const moderation = await moderateContent(content);
+  const safety = assessMessageSafety(content, moderation);
+  if (moderation.flagged && !safety.crisis) {
+    throw new ValidationError('Content violates community guidelines');
+  }
+
+  const messageTargets = await resolveMessageTargets(session, content, targets);
+
+  return {
+    safety,
+    meta: {
+      moderation: moderation.categories,
+      activeVariant: 1,
+      variantCount: 1,
+      targets: messageTargets,
+      safetyLevel: safety.level
+    }
+  };
+}
@@ -21,6 +21,7 @@ export class UserService {
         avatar: true,
         favorites: true,
         responseStyle: true,
+        plan: true,
         createdAt: true,
         updatedAt: true,
       },
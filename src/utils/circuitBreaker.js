@@ -0,0 +1,82 @@
+/**
+ * Circuit breaker for calls to an external dependency
+ * After `failureThreshold` consecutive failures the circuit opens and calls are refused until
+ * `resetTimeoutMs` has passed; then a single trial call is let through (half-open), which
+ * closes the circuit on success or opens it again on failure.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+export class CircuitBreaker {
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go through now; claims the trial call when half-open
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Give back a claimed trial call whose outcome says nothing about the dependency
+   * (aborted, or rejected for being an invalid request)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Snapshot for health checks
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
@@ -64,3 +64,20 @@ export class OpenAIError extends AppError {
     this.originalError = originalError;
   }
 }
+
+export class CancelledError extends AppError {
+  constructor(message = 'Generation cancelled', partial = null) {
+    super(message, 499, 'CANCELLED');
+    this.name = 'CancelledError';
+    this.partial = partial;
+  }
+}
+
+export class AIUnavailableError extends OpenAIError {
+  constructor(message = 'The AI service is temporarily unavailable', originalError = null) {
+    super(message, originalError);
+    this.statusCode = 503;
+    this.code = 'AI_UNAVAILABLE';
+    this.name = 'AIUnavailableError';
+  }
+}
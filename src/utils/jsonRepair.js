@@ -0,0 +1,69 @@
+/**
+ * Repair of near-valid JSON returned by the model
+ * Handles code fences, prose around the payload and trailing commas. A truncated document is
+ * not repaired: its last value would be cut short, so it is left to a new request.
+ */
+
+/**
+ * Remove commas right before a closing bracket, leaving string contents untouched
+ */
+function stripTrailingCommas(json) {
+  let result = '';
+  let inString = false;
+
+  for (let index = 0; index < json.length; index++) {
+    const char = json[index];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += json[++index] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',' && /^\s*[}\]]/.test(json.slice(index + 1))) {
+      continue;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Parse model output as JSON, repairing it when needed
+ * Returns { value, repaired } or null when nothing can be recovered.
+ */
+export function parseJsonWithRepair(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  try {
+    return { value: JSON.parse(text), repaired: false };
+  } catch (error) {
+    // Fall through to the repairs below
+  }
+
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+
+  // Keep the outermost object, dropping prose before and after it
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    const value = JSON.parse(stripTrailingCommas(unfenced.slice(start, end + 1)));
+    return value && typeof value === 'object' && !Array.isArray(value) ? { value, repaired: true } : null;
+  } catch (error) {
+    // Still invalid, e.g. truncated by max_tokens
+    return null;
+  }
+}
@@ -24,21 +24,33 @@ export function getPaginationData(page, pageSize, totalCount) {
 
 /**
  * Create cursor-based pagination for messages
+ * A page loaded from a cursor holds the messages older than `message`; with `inclusive` it
+ * starts at `message` itself.
  */
-export function createMessageCursor(message) {
-  return Buffer.from(`${message.createdAt.getTime()}-${message.id}`).toString('base64');
+export function createMessageCursor(message, { inclusive = false } = {}) {
+  const separator = inclusive ? '~' : '-';
+  return Buffer.from(`${message.createdAt.getTime()}${separator}${message.id}`).toString('base64');
 }
 
 /**
  * Parse cursor for message pagination
+ * Message ids are UUIDs and contain dashes, so only the first separator ends the timestamp.
  */
 export function parseMessageCursor(cursor) {
   try {
     const decoded = Buffer.from(cursor, 'base64').toString('utf-8');
-    const [timestamp, id] = decoded.split('-');
+    const separator = decoded.search(/[-~]/);
+    const timestamp = parseInt(decoded.slice(0, separator));
+    const id = decoded.slice(separator + 1);
+
+    if (separator <= 0 || Number.isNaN(timestamp) || !id) {
+      return null;
+    }
+
     return {
-      timestamp: new Date(parseInt(timestamp)),
-      id
+      timestamp: new Date(timestamp),
+      id,
+      inclusive: decoded[separator] === '~'
     };
   } catch (error) {
     return null;
@@ -0,0 +1,196 @@
+/**
+ * Tolerant JSON parser for incomplete model output
+ * Used to read structured responses while they are still being streamed
+ */
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+const LITERAL_CHAR = /[-+.\w]/;
+const LITERAL = /^(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)$/;
+
+/**
+ * Create a parser that reads a JSON document as it arrives
+ * `push(delta)` consumes the new text only and returns the value parsed so far, or undefined
+ * while nothing useful can be read or once the document turns out to be invalid. Unterminated
+ * strings are returned as-is, unfinished keys and literals are dropped. The returned value is
+ * updated in place by later pushes.
+ */
+export function createPartialJsonParser() {
+  // Open objects and arrays, innermost last
+  const stack = [];
+  let root;
+  // String or literal being read
+  let token = null;
+  let done = false;
+  let failed = false;
+
+  function attach(value) {
+    const frame = stack[stack.length - 1];
+    if (frame.type === 'object') {
+      frame.container[frame.key] = value;
+      frame.state = 'key';
+      return { container: frame.container, key: frame.key };
+    }
+    frame.container.push(value);
+    return { container: frame.container, key: frame.container.length - 1 };
+  }
+
+  function open(char) {
+    const container = char === '{' ? {} : [];
+    if (root === undefined) {
+      root = container;
+    } else {
+      attach(container);
+    }
+    stack.push(char === '{'
+      ? { type: 'object', container, state: 'key', key: null }
+      : { type: 'array', container });
+  }
+
+  function close() {
+    stack.pop();
+    done = stack.length === 0;
+  }
+
+  function startValue(char) {
+    if (char === '{' || char === '[') {
+      open(char);
+    } else if (char === '"') {
+      token = { type: 'string', value: '', escape: null, target: attach('') };
+    } else if (/[-\dtfn]/.test(char)) {
+      token = { type: 'literal', text: char };
+    } else {
+      throw new SyntaxError(`Unexpected character "${char}"`);
+    }
+  }
+
+  function appendString(text) {
+    token.value += text;
+    if (token.target) {
+      token.target.container[token.target.key] = token.value;
+    }
+  }
+
+  function readString(char) {
+    if (token.escape === '') {
+      if (char === 'u') {
+        token.escape = 'u';
+      } else {
+        appendString(ESCAPES[char] ?? char);
+        token.escape = null;
+      }
+      return;
+    }
+
+    if (token.escape !== null) {
+      token.escape += char;
+      if (token.escape.length === 5) {
+        appendString(String.fromCharCode(parseInt(token.escape.slice(1), 16)));
+        token.escape = null;
+      }
+      return;
+    }
+
+    if (char === '\\') {
+      token.escape = '';
+    } else if (char === '"') {
+      if (!token.target) {
+        const frame = stack[stack.length - 1];
+        frame.key = token.value;
+        frame.state = 'colon';
+      }
+      token = null;
+    } else {
+      appendString(char);
+    }
+  }
+
+  function finishLiteral() {
+    if (!LITERAL.test(token.text)) {
+      throw new SyntaxError(`Unexpected token "${token.text}"`);
+    }
+    attach(JSON.parse(token.text));
+    token = null;
+  }
+
+  function consume(char) {
+    if (token?.type === 'string') {
+      readString(char);
+      return;
+    }
+
+    if (token?.type === 'literal') {
+      if (LITERAL_CHAR.test(char)) {
+        token.text += char;
+        return;
+      }
+      finishLiteral();
+    }
+
+    // Models sometimes wrap the payload in prose or code fences
+    if (root === undefined) {
+      if (char === '{' || char === '[') {
+        open(char);
+      }
+      return;
+    }
+
+    if (/\s/.test(char)) {
+      return;
+    }
+
+    const frame = stack[stack.length - 1];
+    if (frame.type === 'array') {
+      if (char === ']') {
+        close();
+      } else if (char !== ',') {
+        startValue(char);
+      }
+      return;
+    }
+
+    if (frame.state === 'key') {
+      if (char === '}') {
+        close();
+      } else if (char === '"') {
+        token = { type: 'string', value: '', escape: null, target: null };
+      } else if (char !== ',') {
+        throw new SyntaxError(`Unexpected character "${char}" in object`);
+      }
+    } else if (frame.state === 'colon') {
+      if (char !== ':') {
+        throw new SyntaxError('Expected ":" after object key');
+      }
+      frame.state = 'value';
+    } else {
+      startValue(char);
+    }
+  }
+
+  return {
+    push(delta) {
+      if (!done && delta) {
+        try {
+          for (const char of delta) {
+            consume(char);
+            if (done) {
+              break;
+            }
+          }
+        } catch (error) {
+          done = true;
+          failed = true;
+        }
+      }
+      return failed ? undefined : root;
+    }
+  };
+}
+
+/**
+ * Parse a possibly truncated JSON document
+ * Unterminated strings are returned as-is, unfinished keys and literals are dropped.
+ * Returns undefined when nothing useful can be read yet.
+ */
+export function parsePartialJson(text) {
+  return createPartialJsonParser().push(text);
+}
@@ -1,18 +1,39 @@
 /**
  * Server-Sent Events utilities for real-time chat streaming
+ * Events can be written straight to a response or pushed to a turn stream
+ * (see turnStreamService), which numbers them and fans them out to reconnecting clients.
  */
 
+// Interval between heartbeat comments on open connections
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
 /**
- * Initialize SSE connection
+ * Write the SSE headers and start heartbeats on a response
+ * Heartbeats stop when the connection closes.
  */
-export function initSSE(res) {
+export function openSSEConnection(res) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
   });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => sendHeartbeat(res), HEARTBEAT_INTERVAL_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return res;
+}
+
+/**
+ * Initialize SSE connection
+ */
+export function initSSE(res) {
+  openSSEConnection(res);
 
   // Send initial connection event
   res.write('data: {"type":"connected"}\n\n');
@@ -20,18 +41,36 @@ export function initSSE(res) {
   return res;
 }
 
+/**
+ * Format an event; events with an id can be resumed with Last-Event-ID
+ */
+export function formatSSEEvent(payload, id = null) {
+  const idLine = id ? `id: ${id}\n` : '';
+  return `${idLine}data: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Write an event to a response, or push it to a turn stream
+ */
+function writeEvent(target, payload) {
+  if (typeof target.pushEvent === 'function') {
+    target.pushEvent(payload);
+    return;
+  }
+
+  target.write(formatSSEEvent(payload));
+}
+
 /**
  * Send SSE event
  */
 export function sendSSEEvent(res, eventType, data) {
   try {
-    const eventData = JSON.stringify({
+    writeEvent(res, {
       type: eventType,
       data,
       timestamp: new Date().toISOString()
     });
-    
-    res.write(`data: ${eventData}\n\n`);
   } catch (error) {
     console.error('SSE Error:', error);
   }
@@ -41,16 +80,18 @@ export function sendSSEEvent(res, eventType, data) {
  * Send SSE error
  */
 export function sendSSEError(res, error, statusCode = 500) {
-  const errorData = JSON.stringify({
-    type: 'error',
-    error: {
-      message: error.message || 'Unknown error',
-      statusCode
-    },
-    timestamp: new Date().toISOString()
-  });
-  
-  res.write(`data: ${errorData}\n\n`);
+  try {
+    writeEvent(res, {
+      type: 'error',
+      error: {
+        message: error.message || 'Unknown error',
+        statusCode
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (writeError) {
+    console.error('SSE Error:', writeError);
+  }
 }
 
 /**
@@ -58,6 +99,11 @@ export function sendSSEError(res, error, statusCode = 500) {
  */
 export function closeSSE(res) {
   try {
+    if (typeof res.pushEvent === 'function') {
+      res.close();
+      return;
+    }
+
     res.write('data: {"type":"close"}\n\n');
     res.end();
   } catch (error) {
@@ -0,0 +1,35 @@
+/**
+ * Token estimation utilities
+ * A rough estimate (about 4 characters per token for Portuguese text) is enough for prompt budgeting
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate how many tokens a text will use
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Keep the newest items that fit in the token budget, preserving chronological order
+ */
+export function takeLatestWithinBudget(items, budget, getText = item => item) {
+  const selected = [];
+  let used = 0;
+
+  for (let index = items.length - 1; index >= 0; index--) {
+    const tokens = estimateTokens(getText(items[index]));
+    if (used + tokens > budget && selected.length > 0) {
+      break;
+    }
+    selected.unshift(items[index]);
+    used += tokens;
+  }
+
+  return selected;
+}
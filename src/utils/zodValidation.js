@@ -6,14 +6,27 @@ import { z } from 'zod';
 
 // Chat session creation schema
 export const createSessionSchema = z.object({
-  mode: z.enum(['COUNCIL', 'DECISION'], {
+  mode: z.enum(['COUNCIL', 'DECISION', 'DEBATE', 'MENTOR'], {
     required_error: 'Mode is required',
-    invalid_type_error: 'Mode must be either COUNCIL or DECISION'
+    invalid_type_error: 'Mode must be COUNCIL, DECISION, DEBATE or MENTOR'
   }),
   characters: z.array(z.string().min(1, 'Character key cannot be empty'))
     .min(1, 'At least one character is required')
     .max(parseInt(process.env.CHAT_MAX_PARTICIPANTS) || 6, `Maximum ${process.env.CHAT_MAX_PARTICIPANTS || 6} characters allowed`),
-  title: z.string().min(1).max(100).optional()
+  title: z.string().min(1).max(100).optional(),
+  generationMode: z.enum(['COMBINED', 'SEQUENTIAL'], {
+    invalid_type_error: 'Generation mode must be either COMBINED or SEQUENTIAL'
+  }).optional().default('COMBINED'),
+  debateRounds: z.number().int()
+    .min(1, 'A debate needs at least 1 round')
+    .max(4, 'A debate can have at most 4 rounds')
+    .optional()
+}).refine(data => data.mode !== 'DEBATE' || data.characters.length >= 2, {
+  message: 'A debate needs at least 2 characters',
+  path: ['characters']
+}).refine(data => data.mode !== 'MENTOR' || data.characters.length === 1, {
+  message: 'A mentoring session has exactly one character',
+  path: ['characters']
 });
 
 // Message creation schema
@@ -21,9 +34,41 @@ export const sendMessageSchema = z.object({
   content: z.string()
     .min(1, 'Message content cannot be empty')
     .max(2000, 'Message content too long (max 2000 characters)'),
+  stream: z.boolean().optional().default(false),
+  targets: z.array(z.string().min(1)).min(1).max(10).optional()
+});
+
+// Edit previous message schema
+export const editMessageSchema = z.object({
+  content: z.string()
+    .min(1, 'Message content cannot be empty')
+    .max(2000, 'Message content too long (max 2000 characters)'),
+  stream: z.boolean().optional().default(false),
+  targets: z.array(z.string().min(1)).min(1).max(10).optional()
+});
+
+// Regenerate last answer schema
+export const regenerateSchema = z.object({
   stream: z.boolean().optional().default(false)
 });
 
+// Select answer variant schema
+export const selectVariantSchema = z.object({
+  variant: z.number().int().min(1, 'Variant must be at least 1')
+});
+
+// Add participant schema
+export const addParticipantSchema = z.object({
+  character: z.string().min(1, 'Character key cannot be empty'),
+  position: z.number().int().min(0).optional()
+});
+
+// Reorder participants schema
+export const reorderParticipantsSchema = z.object({
+  characters: z.array(z.string().min(1, 'Character key cannot be empty'))
+    .min(1, 'At least one character is required')
+});
+
 // Session update schema
 export const updateSessionSchema = z.object({
   title: z.string().min(1).max(100).optional()
@@ -107,11 +152,116 @@ export const decisionResponseSchema = z.object({
   final_decision: z.object({
     title: z.string().min(1),
     content: z.string().min(1),
-    rationale: z.string().min(1)
+    rationale: z.string().min(1),
+    action_steps: z.array(z.object({
+      title: z.string().min(1),
+      description: z.string().optional().default(''),
+      due_in_days: z.number().int().min(0).max(365).nullable().optional().default(null)
+    })).max(5).optional().default([])
+  }),
+  suggested_topics: z.array(z.string()).optional().default([])
+});
+
+export const debateResponseSchema = z.object({
+  mode: z.literal('DEBATE'),
+  positions: z.array(z.object({
+    characterKey: z.string(),
+    characterName: z.string(),
+    stance: z.string().min(1)
+  })),
+  rounds: z.array(z.object({
+    round: z.number().int(),
+    arguments: z.array(z.object({
+      characterKey: z.string(),
+      characterName: z.string(),
+      content: z.string().min(1),
+      respondsTo: z.string().nullable().optional().default(null)
+    })).min(1)
+  })).min(1),
+  synthesis: z.object({
+    title: z.string().min(1),
+    content: z.string().min(1),
+    agreements: z.array(z.string()).optional().default([]),
+    open_questions: z.array(z.string()).optional().default([])
   }),
   suggested_topics: z.array(z.string()).optional().default([])
 });
 
+export const suggestedTopicsResponseSchema = z.object({
+  suggested_topics: z.array(z.string().min(1)).max(5)
+});
+
+export const memoryExtractionResponseSchema = z.object({
+  memories: z.array(z.object({
+    kind: z.enum(['FACT', 'STRUGGLE']),
+    content: z.string().min(1),
+    keywords: z.array(z.string()).optional().default([])
+  })).max(5)
+});
+
+// User memory schemas
+export const listMemoriesSchema = z.object({
+  kind: z.enum(['FACT', 'STRUGGLE', 'DECISION']).optional(),
+  page: z.coerce.number().min(1).optional().default(1),
+  pageSize: z.coerce.number().min(1).max(100).optional().default(20)
+});
+
+export const listActionStepsSchema = z.object({
+  status: z.enum(['PENDING', 'DONE']).optional(),
+  sessionId: z.string().uuid('Invalid session ID').optional(),
+  page: z.coerce.number().min(1).optional().default(1),
+  pageSize: z.coerce.number().min(1).max(100).optional().default(20)
+});
+
+export const updateActionStepSchema = z.object({
+  status: z.enum(['PENDING', 'DONE'], {
+    required_error: 'Status is required',
+    invalid_type_error: 'Status must be either PENDING or DONE'
+  })
+});
+
+export const usageQuerySchema = z.object({
+  from: z.coerce.date({ invalid_type_error: 'from must be a date' }).optional(),
+  to: z.coerce.date({ invalid_type_error: 'to must be a date' }).optional()
+}).refine(data => !data.from || !data.to || data.from <= data.to, {
+  message: 'from must be before to',
+  path: ['from']
+});
+
+export const searchMessagesSchema = z.object({
+  q: z.string().trim()
+    .min(2, 'Search query too short')
+    .max(200, 'Search query too long (max 200 characters)'),
+  character: z.string().min(1).optional(),
+  mode: z.enum(['COUNCIL', 'DECISION', 'DEBATE', 'MENTOR']).optional(),
+  from: z.coerce.date({ invalid_type_error: 'from must be a date' }).optional(),
+  to: z.coerce.date({ invalid_type_error: 'to must be a date' }).optional(),
+  cursor: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(50).optional().default(20)
+}).refine(data => !data.from || !data.to || data.from <= data.to, {
+  message: 'from must be before to',
+  path: ['from']
+});
+
+export const exportSessionSchema = z.object({
+  format: z.enum(['pdf', 'md', 'json']).optional().default('pdf')
+});
+
+export const createShareSchema = z.object({
+  expiresInDays: z.number().int().min(1, 'expiresInDays must be at least 1').max(365, 'expiresInDays must be at most 365').optional()
+});
+
+export const listSharesSchema = z.object({
+  sessionId: z.string().uuid('Invalid session ID').optional()
+});
+
+export const updateMemorySchema = z.object({
+  content: z.string().min(3, 'Memory content too short').max(500, 'Memory content too long (max 500 characters)').optional(),
+  kind: z.enum(['FACT', 'STRUGGLE', 'DECISION']).optional()
+}).refine(data => data.content !== undefined || data.kind !== undefined, {
+  message: 'Provide content or kind to update'
+});
+
 /**
  * Middleware for validating request data with Zod
  */